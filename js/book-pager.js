@@ -0,0 +1,201 @@
+// 书籍分页模块
+// 为带 data-paginate 属性的 .book-text 自动分页（按段落数或视口高度），页码与 URL hash 同步（#page=3），
+// 支持深链接和浏览器前进后退，并在翻页时派发 bookpager:change 事件供朗读等模块订阅
+//
+// 用法：<div class="book-text" data-paginate="paragraphs" data-page-size="20">…</div>
+//       <div class="book-text" data-paginate="viewport">…</div>
+// 未设置 data-paginate 的书籍视为只有一页，接口同样可用
+
+(function () {
+    const DEFAULT_PAGE_SIZE = 20;     // 按段落分页时每页的段落数
+    const VIEWPORT_RATIO = 0.75;      // 按视口分页时每页内容高度占视口高度的比例
+
+    const container = document.querySelector('.book-text[data-paginate]');
+    const mode = container ? container.dataset.paginate : null;
+    let pages = [];
+    let current = 1;
+    let navs = [];
+
+    function getCurrentPage() {
+        return current;
+    }
+
+    function getTotalPages() {
+        return Math.max(pages.length, 1);
+    }
+
+    // 元素所在页码（未分页时为 1）
+    function pageOf(el) {
+        const page = el.closest('.page');
+        return page ? pages.indexOf(page) + 1 : 1;
+    }
+
+    function emit(name, detail) {
+        document.dispatchEvent(new CustomEvent('bookpager:' + name, { detail }));
+    }
+
+    // 把内容元素分组：章节标题不会落在页末，而是和后面的正文一起放到下一页
+    function groupByParagraphs(children, size) {
+        const groups = [[]];
+        let count = 0;
+        children.forEach(child => {
+            const isParagraph = child.tagName === 'P';
+            let group = groups[groups.length - 1];
+            if (count >= size && (isParagraph || /^H\d$/.test(child.tagName))) {
+                const next = [];
+                while (group.length > 0 && /^H\d$/.test(group[group.length - 1].tagName)) {
+                    next.unshift(group.pop());
+                }
+                groups.push(next);
+                group = next;
+                count = 0;
+            }
+            group.push(child);
+            if (isParagraph) count++;
+        });
+        return groups;
+    }
+
+    function groupByViewport(children) {
+        const limit = window.innerHeight * VIEWPORT_RATIO;
+        const groups = [[]];
+        let height = 0;
+        children.forEach(child => {
+            const style = getComputedStyle(child);
+            const h = child.offsetHeight + parseFloat(style.marginTop) + parseFloat(style.marginBottom);
+            const group = groups[groups.length - 1];
+            if (height + h > limit && group.length > 0) {
+                const next = [];
+                while (group.length > 0 && /^H\d$/.test(group[group.length - 1].tagName)) {
+                    next.unshift(group.pop());
+                }
+                groups.push(next);
+                height = next.reduce((sum, el) => sum + el.offsetHeight, 0);
+            }
+            groups[groups.length - 1].push(child);
+            height += h;
+        });
+        return groups.filter(g => g.length > 0);
+    }
+
+    // 把 .book-text 的内容重新分配到 .page 容器中，保留当前页第一个元素所在的位置
+    function paginate() {
+        const anchor = pages.length > 0 ? pages[current - 1].firstElementChild : null;
+
+        // 先展开为平铺内容（按视口分页需要测量高度）
+        const children = [];
+        pages.forEach(page => {
+            children.push(...page.children);
+        });
+        if (pages.length === 0) {
+            children.push(...container.children);
+        }
+        children.forEach(child => container.appendChild(child));
+        pages.forEach(page => page.remove());
+
+        const groups = mode === 'viewport'
+            ? groupByViewport(children)
+            : groupByParagraphs(children, parseInt(container.dataset.pageSize) || DEFAULT_PAGE_SIZE);
+
+        pages = groups.map((group, i) => {
+            const page = document.createElement('div');
+            page.id = 'page' + (i + 1);
+            page.className = 'page';
+            group.forEach(el => page.appendChild(el));
+            container.appendChild(page);
+            return page;
+        });
+
+        current = anchor ? pageOf(anchor) : Math.min(current, pages.length);
+        pages[current - 1].classList.add('active');
+        updateNavs();
+        emit('paginate', { total: pages.length, page: current });
+    }
+
+    // 翻到指定页；history 为 'push'（默认，产生历史记录）、'replace' 或 'none'
+    function goTo(page, history = 'push') {
+        if (pages.length === 0) return;
+        const target = Math.min(Math.max(parseInt(page) || 1, 1), pages.length);
+        if (target === current) return;
+
+        const previous = current;
+        pages[previous - 1].classList.remove('active');
+        current = target;
+        pages[current - 1].classList.add('active');
+        updateNavs();
+        syncHash(history);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+        emit('change', { page: current, previous, total: pages.length });
+    }
+
+    function next() {
+        goTo(current + 1);
+    }
+
+    function prev() {
+        goTo(current - 1);
+    }
+
+    // 页码写入 URL hash，保留 hash 中的其它参数
+    function syncHash(history) {
+        if (history === 'none') return;
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        params.set('page', current);
+        const url = window.location.pathname + window.location.search + '#' + params.toString();
+        if (history === 'replace') {
+            window.history.replaceState(null, '', url);
+        } else {
+            window.history.pushState(null, '', url);
+        }
+    }
+
+    function readHashPage() {
+        return parseInt(new URLSearchParams(window.location.hash.slice(1)).get('page')) || null;
+    }
+
+    // 在正文前后生成翻页控件
+    function createNavs() {
+        const positions = [['beforebegin', container], ['afterend', container]];
+        navs = positions.map(([where, el]) => {
+            const nav = document.createElement('div');
+            nav.className = 'pagination';
+            nav.innerHTML = `
+                <button class="page-prev">上一页</button>
+                <span class="page-info">第 <span class="page-current">1</span> / <span class="page-total">1</span> 页</span>
+                <button class="page-next">下一页</button>
+            `;
+            nav.querySelector('.page-prev').addEventListener('click', prev);
+            nav.querySelector('.page-next').addEventListener('click', next);
+            el.insertAdjacentElement(where, nav);
+            return nav;
+        });
+    }
+
+    function updateNavs() {
+        navs.forEach(nav => {
+            nav.querySelector('.page-current').textContent = current;
+            nav.querySelector('.page-total').textContent = pages.length;
+            nav.querySelector('.page-prev').disabled = current <= 1;
+            nav.querySelector('.page-next').disabled = current >= pages.length;
+        });
+    }
+
+    window.BookPager = { getCurrentPage, getTotalPages, pageOf, goTo, next, prev };
+
+    // 初始化
+    if (!container) return;
+
+    createNavs();
+    paginate();
+
+    const initial = readHashPage();
+    if (initial) goTo(initial, 'replace');
+
+    // 浏览器前进后退
+    window.addEventListener('popstate', () => goTo(readHashPage() || 1, 'none'));
+
+    // 按视口分页时，窗口尺寸变化后重新分页
+    if (mode === 'viewport') {
+        window.addEventListener('resize', debounce(paginate, 300));
+    }
+})();
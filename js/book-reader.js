@@ -1,8 +1,12 @@
 // 书籍朗读模块
-// 基于 Web Speech API 实现中文语音朗读，支持逐段高亮、语速调节、分页自动翻页
+// 基于 Web Speech API 实现中文语音朗读，支持逐段高亮、逐字跟读高亮、点字朗读、语速调节、读完一页自动翻页，
+// 以及每段重复、A–B 循环、段间停顿、睡眠定时和发音人/音调/音量设置
 
 (function () {
-    if (!window.speechSynthesis) return;
+    // 对外提供段落工具，供背诵等模块复用（不支持语音时同样可用）
+    window.BookReader = { extractText, mapRubyOffsets, collectParagraphs };
+
+    if (!window.speechSynthesis || !window.BookPager) return;
 
     const synth = window.speechSynthesis;
     let paragraphs = [];
@@ -11,51 +15,107 @@
     let isPaused = false;
     let rate = 1;
     let controls = null;
+    let pendingParagraph = null;   // 翻页完成后要朗读的段落
+    const RATES = [0.5, 0.75, 1, 1.25];
+    const RATE_RANGE = { min: 0.5, max: 2 };
+
+    // 声音设置（按设备保存）：发音人、音调、音量以及默认语速
+    const VOICE_STORAGE_KEY = 'speechSettings';
+    let voiceURI = '';
+    let pitch = 1;
+    let volume = 1;
+    let voices = [];
+
+    // 逐字高亮状态
+    const CHAR_DURATION = 280;      // 无边界事件时每个字的估计朗读时长（毫秒，1x 语速）
+    const PUNCTUATION_PAUSE = 220;  // 标点处的额外停顿（毫秒，1x 语速）
+    const FALLBACK_DELAY = 600;     // 开始朗读后多久仍无边界事件则启用定时高亮
+    let speakToken = 0;             // 每次朗读递增，用于忽略已取消语句的回调
+    let rubySpans = [];             // 当前段落中每个 <ruby> 在朗读文本中的偏移
+    let charOffset = 0;             // 当前高亮字的偏移
+    let boundarySeen = false;       // 当前语句是否收到过字词边界事件
+    let charTimer = null;
+
+    // 重复、循环与定时状态
+    let repeatCount = 1;            // 每段朗读次数
+    let repeatDone = 0;             // 当前段已重复的次数
+    let paragraphGap = 0;           // 段间停顿（毫秒）
+    let gapTimer = null;
+    let pendingNext = null;         // 段间停顿中等待执行的下一步，暂停后继续时立即执行
+    let loopA = null;               // A–B 循环起止段落（元素引用，可跨页）
+    let loopB = null;
+    let sleepTimer = null;
+    let sleepParagraphs = 0;        // 按段数定时：剩余可朗读的段数
+
+    // 是否为朗读时应跳过的元素：rt 拼音，以及标记了 data-reader-skip 的界面控件（如书签按钮）
+    function isSkipped(node) {
+        return node.tagName === 'RT' || node.hasAttribute('data-reader-skip');
+    }
+
+    // 文本节点的原文：切换为繁体显示时仍按简体原文朗读和定位
+    function textOf(node) {
+        return typeof chineseConverter !== 'undefined' ? chineseConverter.originalText(node) : node.textContent;
+    }
 
     // 从 ruby 标签中提取纯中文文本（跳过 rt 拼音）
     function extractText(el) {
         let text = '';
         for (const node of el.childNodes) {
             if (node.nodeType === Node.TEXT_NODE) {
-                text += node.textContent;
-            } else if (node.nodeType === Node.ELEMENT_NODE && node.tagName !== 'RT') {
+                text += textOf(node);
+            } else if (node.nodeType === Node.ELEMENT_NODE && !isSkipped(node)) {
                 text += extractText(node);
             }
         }
         return text;
     }
 
-    // 收集当前可见页面的所有 <p> 段落
-    function collectParagraphs() {
-        const activePage = document.querySelector('.page.active');
-        const container = activePage || document.querySelector('.book-text');
-        if (!container) return [];
-        return Array.from(container.querySelectorAll('p')).filter(p => {
+    // 建立段落中每个 <ruby> 与 extractText 文本偏移的映射
+    function mapRubyOffsets(el) {
+        const spans = [];
+        let offset = 0;
+        (function walk(node) {
+            for (const child of node.childNodes) {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    offset += textOf(child).length;
+                } else if (child.nodeType === Node.ELEMENT_NODE && !isSkipped(child)) {
+                    if (child.tagName === 'RUBY') {
+                        const length = extractText(child).length;
+                        spans.push({ el: child, start: offset, end: offset + length });
+                        offset += length;
+                    } else {
+                        walk(child);
+                    }
+                }
+            }
+        })(el);
+        return spans;
+    }
+
+    // 收集当前可见页面的所有 <p> 段落，scope 为 'all' 时收集全书所有页面的段落
+    function collectParagraphs(scope = 'page') {
+        let candidates;
+        if (scope === 'all') {
+            candidates = document.querySelectorAll('.book-text p');
+        } else {
+            const activePage = document.querySelector('.page.active');
+            const container = activePage || document.querySelector('.book-text');
+            if (!container) return [];
+            candidates = container.querySelectorAll('p');
+        }
+        return Array.from(candidates).filter(p => {
             const text = extractText(p).trim();
             return text.length > 0;
         });
     }
 
-    // 朗读指定段落
-    function speakParagraph(index) {
+    // 朗读指定段落，startOffset 为段内起始字的偏移（点字朗读时使用）
+    function speakParagraph(index, startOffset = 0) {
         if (index < 0 || index >= paragraphs.length) {
-            // 当前页朗读完毕，尝试翻到下一页继续
-            if (typeof changePage === 'function') {
-                const activePage = document.querySelector('.page.active');
-                const allPages = document.querySelectorAll('.page');
-                const pageId = activePage ? parseInt(activePage.id.replace('page', '')) : 0;
-                if (pageId < allPages.length) {
-                    changePage(1);
-                    setTimeout(() => {
-                        paragraphs = collectParagraphs();
-                        if (paragraphs.length > 0) {
-                            speakParagraph(0);
-                        } else {
-                            stopReading();
-                        }
-                    }, 300);
-                    return;
-                }
+            // 当前页朗读完毕，翻到下一页后由 bookpager:change 接着朗读
+            if (BookPager.getCurrentPage() < BookPager.getTotalPages()) {
+                BookPager.next();
+                return;
             }
             stopReading();
             return;
@@ -63,19 +123,53 @@
 
         currentIndex = index;
         updateHighlight();
+        if (window.ReadingProgress) {
+            ReadingProgress.save({ page: BookPager.getCurrentPage(), paragraph: index, rate });
+        }
 
-        const text = extractText(paragraphs[index]).trim();
-        const utterance = new SpeechSynthesisUtterance(text);
-        utterance.lang = 'zh-CN';
-        utterance.rate = rate;
+        // 朗读文本从 startOffset 开始截取，边界事件的 charIndex 需加回偏移
+        const fullText = extractText(paragraphs[index]);
+        const leading = fullText.length - fullText.trimStart().length;
+        const from = Math.max(startOffset, leading);
+        const text = fullText.slice(from).trimEnd();
+        const token = ++speakToken;
+
+        rubySpans = mapRubyOffsets(paragraphs[index]);
+        boundarySeen = false;
+        stopCharTimer();
+        highlightChars(from, 1);
+
+        const utterance = createUtterance(text);
+
+        utterance.onstart = () => {
+            if (token !== speakToken) return;
+            // 部分语音引擎不触发中文字词边界事件，此时按估计时长逐字推进
+            charTimer = setTimeout(() => {
+                if (token === speakToken && !boundarySeen && !isPaused) {
+                    startCharTimer(charOffset);
+                }
+            }, FALLBACK_DELAY);
+        };
+
+        utterance.onboundary = (e) => {
+            if (token !== speakToken || e.name === 'sentence') return;
+            if (!boundarySeen) {
+                boundarySeen = true;
+                stopCharTimer();
+            }
+            highlightChars(from + e.charIndex, e.charLength || 1);
+        };
 
         utterance.onend = () => {
+            if (token !== speakToken) return;
+            stopCharTimer();
             if (isPlaying && !isPaused) {
-                speakParagraph(index + 1);
+                scheduleNext(() => advance(index));
             }
         };
 
         utterance.onerror = (e) => {
+            if (token !== speakToken) return;
             if (e.error !== 'interrupted' && e.error !== 'canceled') {
                 stopReading();
             }
@@ -84,11 +178,179 @@
         synth.speak(utterance);
     }
 
+    // 按当前的发音人、语速、音调和音量创建语句
+    function createUtterance(text) {
+        const utterance = new SpeechSynthesisUtterance(text);
+        const voice = voices.find(v => v.voiceURI === voiceURI);
+        utterance.lang = voice ? voice.lang : 'zh-CN';
+        if (voice) utterance.voice = voice;
+        utterance.rate = rate;
+        utterance.pitch = pitch;
+        utterance.volume = volume;
+        return utterance;
+    }
+
+    // 单独读出一段文字（如字典中的字），正在朗读时先暂停，之后可按"继续"接着读
+    function speakText(text) {
+        if (isPlaying) pause();
+        speakToken++;
+        stopCharTimer();
+        synth.cancel();
+        synth.resume();
+        synth.speak(createUtterance(text));
+    }
+
+    // 段间停顿后执行下一步
+    function scheduleNext(next) {
+        pendingNext = next;
+        gapTimer = setTimeout(() => {
+            pendingNext = null;
+            next();
+        }, paragraphGap);
+    }
+
+    function clearPendingNext() {
+        clearTimeout(gapTimer);
+        gapTimer = null;
+        pendingNext = null;
+    }
+
+    // 一段读完后决定下一步：重复本段、按段数睡眠定时停止、A–B 循环回到 A，或继续下一段
+    function advance(index) {
+        if (repeatDone + 1 < repeatCount) {
+            repeatDone++;
+            speakParagraph(index);
+            return;
+        }
+        repeatDone = 0;
+
+        if (sleepParagraphs > 0) {
+            sleepParagraphs--;
+            if (sleepParagraphs === 0) {
+                clearSleep();
+                stopReading();
+                return;
+            }
+            updateSleepStatus();
+        }
+
+        if (loopA && loopB && paragraphs[index] === loopB) {
+            speakElement(loopA);
+            return;
+        }
+
+        speakParagraph(index + 1);
+    }
+
+    // 朗读指定段落元素；不在当前页时先翻页，翻页后由 bookpager:change 从该段开始朗读
+    function speakElement(p) {
+        const page = BookPager.pageOf(p);
+        if (page !== BookPager.getCurrentPage()) {
+            pendingParagraph = p;
+            BookPager.goTo(page);
+            return;
+        }
+        paragraphs = collectParagraphs();
+        speakParagraph(Math.max(paragraphs.indexOf(p), 0));
+    }
+
+    // 翻页后：朗读中则从新页的第一段（或 speakElement 指定的段落）继续，暂停中则停止
+    function handlePageChange() {
+        const target = pendingParagraph;
+        pendingParagraph = null;
+        if (isPaused) {
+            stopReading();
+            return;
+        }
+        if (!isPlaying) return;
+
+        speakToken++;
+        stopCharTimer();
+        clearPendingNext();
+        synth.cancel();
+        paragraphs = collectParagraphs();
+        if (paragraphs.length === 0) {
+            stopReading();
+            return;
+        }
+        speakParagraph(Math.max(paragraphs.indexOf(target), 0));
+    }
+
+    // 按视口重新分页后，当前段落的序号可能变化
+    function handleRepaginate() {
+        if (currentIndex < 0) return;
+        const p = paragraphs[currentIndex];
+        paragraphs = collectParagraphs();
+        currentIndex = paragraphs.indexOf(p);
+        if (currentIndex < 0 && isPlaying) speakElement(p);
+    }
+
+    // 高亮 [start, start + length) 范围内的 <ruby>，范围落在标点上时保持原高亮
+    function highlightChars(start, length) {
+        const hits = rubySpans.filter(span => span.end > start && span.start < start + length);
+        if (hits.length === 0) return;
+        charOffset = hits[0].start;
+        clearCharHighlight();
+        hits.forEach(span => span.el.classList.add('reading-char'));
+    }
+
+    function clearCharHighlight() {
+        document.querySelectorAll('.reading-char').forEach(el => {
+            el.classList.remove('reading-char');
+        });
+    }
+
+    // 定时逐字高亮（无边界事件时的后备方案），从 offset 所在的字开始
+    function startCharTimer(offset) {
+        stopCharTimer();
+        let i = rubySpans.findIndex(span => span.end > offset);
+        if (i < 0) return;
+
+        const step = () => {
+            highlightChars(rubySpans[i].start, 1);
+            const next = rubySpans[i + 1];
+            if (!next) return;
+            const pause = next.start > rubySpans[i].end ? PUNCTUATION_PAUSE : 0;
+            charTimer = setTimeout(() => {
+                i++;
+                step();
+            }, (CHAR_DURATION + pause) / rate);
+        };
+        step();
+    }
+
+    function stopCharTimer() {
+        clearTimeout(charTimer);
+        charTimer = null;
+    }
+
+    // 点击某个字，从该字开始朗读
+    function readFromChar(ruby) {
+        const paragraph = ruby.closest('p');
+        if (!paragraph) return;
+
+        paragraphs = collectParagraphs();
+        const index = paragraphs.indexOf(paragraph);
+        if (index < 0) return;
+
+        const span = mapRubyOffsets(paragraph).find(s => s.el === ruby);
+        clearPendingNext();
+        repeatDone = 0;
+        synth.cancel();
+        // 暂停中点字时语音合成仍处于暂停状态，不恢复的话新的朗读不会出声
+        synth.resume();
+        isPlaying = true;
+        isPaused = false;
+        updateButtons();
+        speakParagraph(index, span ? span.start : 0);
+    }
+
     // 更新高亮
     function updateHighlight() {
         document.querySelectorAll('.reading-highlight').forEach(el => {
             el.classList.remove('reading-highlight');
         });
+        clearCharHighlight();
         if (currentIndex >= 0 && currentIndex < paragraphs.length) {
             paragraphs[currentIndex].classList.add('reading-highlight');
             paragraphs[currentIndex].scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -98,25 +360,44 @@
     // 播放
     function play() {
         if (isPaused) {
-            synth.resume();
             isPaused = false;
             isPlaying = true;
             updateButtons();
+            // 在段间停顿中暂停的，继续时直接进入下一步
+            if (pendingNext) {
+                const next = pendingNext;
+                clearPendingNext();
+                next();
+                return;
+            }
+            synth.resume();
+            if (!boundarySeen) {
+                startCharTimer(charOffset);
+            }
             return;
         }
 
         paragraphs = collectParagraphs();
         if (paragraphs.length === 0) return;
 
+        // 未在朗读时，优先从"继续阅读"标记的段落开始
+        let startIndex = currentIndex;
+        if (startIndex < 0) {
+            startIndex = Math.max(paragraphs.findIndex(p => p.classList.contains('reading-resume')), 0);
+            paragraphs.forEach(p => p.classList.remove('reading-resume'));
+        }
+
         isPlaying = true;
         isPaused = false;
         updateButtons();
-        speakParagraph(currentIndex < 0 ? 0 : currentIndex);
+        speakParagraph(startIndex);
     }
 
     // 暂停
     function pause() {
         synth.pause();
+        stopCharTimer();
+        clearTimeout(gapTimer);
         isPaused = true;
         isPlaying = false;
         updateButtons();
@@ -124,6 +405,10 @@
 
     // 停止
     function stopReading() {
+        speakToken++;
+        stopCharTimer();
+        clearPendingNext();
+        repeatDone = 0;
         synth.cancel();
         isPlaying = false;
         isPaused = false;
@@ -132,20 +417,126 @@
         updateButtons();
     }
 
-    // 设置语速
+    // 设置语速（本书记录在阅读进度中，同时作为本设备的默认语速）
     function setRate(newRate) {
-        rate = newRate;
+        rate = Math.min(Math.max(newRate, RATE_RANGE.min), RATE_RANGE.max);
         controls.querySelectorAll('.rate-btn').forEach(btn => {
             btn.classList.toggle('active', parseFloat(btn.dataset.rate) === rate);
         });
-        // 如果正在朗读，用新语速重新朗读当前段
+        controls.querySelector('.rate-range').value = rate;
+        controls.querySelector('.rate-value').textContent = rate.toFixed(2) + 'x';
+        if (window.ReadingProgress) {
+            ReadingProgress.save({ rate });
+        }
+        saveVoiceSettings();
+        restartCurrent();
+    }
+
+    // 如果正在朗读，用新的语速或声音从当前字重新朗读当前段
+    function restartCurrent() {
         if (isPlaying || isPaused) {
+            clearPendingNext();
             synth.cancel();
+            synth.resume();
             isPaused = false;
             isPlaying = true;
             updateButtons();
-            speakParagraph(currentIndex);
+            speakParagraph(currentIndex, charOffset);
+        }
+    }
+
+    function loadVoiceSettings() {
+        const saved = getStorage(VOICE_STORAGE_KEY);
+        if (!saved) return;
+        voiceURI = saved.voiceURI || '';
+        pitch = typeof saved.pitch === 'number' ? saved.pitch : 1;
+        volume = typeof saved.volume === 'number' ? saved.volume : 1;
+        if (typeof saved.rate === 'number') rate = saved.rate;
+    }
+
+    function saveVoiceSettings() {
+        setStorage(VOICE_STORAGE_KEY, { voiceURI, pitch, volume, rate });
+    }
+
+    // 列出已安装的中文发音人；部分浏览器异步加载语音列表，需在 voiceschanged 后重新填充
+    function populateVoices() {
+        voices = synth.getVoices().filter(v => /^(zh|cmn|yue)/i.test(v.lang));
+        const select = controls.querySelector('.voice-select');
+        select.innerHTML = '<option value="">默认中文发音</option>' + voices
+            .map(v => `<option value="${escapeHtml(v.voiceURI)}">${escapeHtml(v.name)}（${escapeHtml(v.lang)}）</option>`)
+            .join('');
+        // 保存的发音人在本设备上已不存在时退回默认
+        if (!voices.some(v => v.voiceURI === voiceURI)) {
+            voiceURI = '';
         }
+        select.value = voiceURI;
+        select.disabled = voices.length === 0;
+    }
+
+    // 设置 A–B 循环端点：正在朗读时取当前段，否则取屏幕上第一个可见段
+    function setLoopPoint(which) {
+        const visible = collectParagraphs();
+        const p = currentIndex >= 0 && paragraphs[currentIndex]
+            ? paragraphs[currentIndex]
+            : visible.find(el => el.getBoundingClientRect().bottom > 0) || visible[0];
+        if (!p) return;
+
+        if (which === 'a') loopA = p;
+        else loopB = p;
+
+        // 保证 A 在 B 之前
+        if (loopA && loopB && loopB.compareDocumentPosition(loopA) & Node.DOCUMENT_POSITION_FOLLOWING) {
+            [loopA, loopB] = [loopB, loopA];
+        }
+        updateLoopMarks();
+    }
+
+    function clearLoop() {
+        loopA = null;
+        loopB = null;
+        updateLoopMarks();
+    }
+
+    function updateLoopMarks() {
+        document.querySelectorAll('.loop-a, .loop-b').forEach(el => {
+            el.classList.remove('loop-a', 'loop-b');
+        });
+        if (loopA) loopA.classList.add('loop-a');
+        if (loopB) loopB.classList.add('loop-b');
+        controls.querySelector('.loop-clear-btn').disabled = !loopA && !loopB;
+    }
+
+    // 睡眠定时：value 形如 "t:20"（20 分钟）或 "p:10"（10 段）
+    function setSleep(value) {
+        clearTimeout(sleepTimer);
+        sleepParagraphs = 0;
+        const [kind, amount] = value.split(':');
+        if (kind === 't') {
+            const ms = parseInt(amount) * 60000;
+            sleepTimer = setTimeout(() => {
+                clearSleep();
+                stopReading();
+            }, ms);
+            const end = new Date(Date.now() + ms);
+            controls.querySelector('.sleep-status').textContent =
+                `将于 ${end.getHours()}:${String(end.getMinutes()).padStart(2, '0')} 停止`;
+        } else if (kind === 'p') {
+            sleepParagraphs = parseInt(amount);
+            updateSleepStatus();
+        }
+    }
+
+    // 取消睡眠定时并复位选项
+    function clearSleep() {
+        clearTimeout(sleepTimer);
+        sleepTimer = null;
+        sleepParagraphs = 0;
+        controls.querySelector('.sleep-select').value = '';
+        controls.querySelector('.sleep-status').textContent = '';
+    }
+
+    function updateSleepStatus() {
+        controls.querySelector('.sleep-status').textContent = `还剩 ${sleepParagraphs} 段`;
     }
 
     // 更新按钮状态
@@ -165,10 +556,49 @@
             <button class="pause-btn" title="暂停" style="display:none">⏸ 暂停</button>
             <button class="stop-btn" title="停止">⏹ 停止</button>
             <div class="speed-group">
-                <button class="rate-btn" data-rate="0.5">0.5x</button>
-                <button class="rate-btn" data-rate="0.75">0.75x</button>
-                <button class="rate-btn active" data-rate="1">1x</button>
-                <button class="rate-btn" data-rate="1.25">1.25x</button>
+                ${RATES.map(r => `<button class="rate-btn${r === rate ? ' active' : ''}" data-rate="${r}">${r}x</button>`).join('')}
+            </div>
+            <button class="options-btn" title="朗读选项" aria-expanded="false" aria-controls="reader-options">⚙ 选项</button>
+            <div id="reader-options" class="reader-options" hidden>
+                <label>发音人
+                    <select class="voice-select"></select>
+                </label>
+                <label>语速
+                    <input type="range" class="rate-range" min="${RATE_RANGE.min}" max="${RATE_RANGE.max}" step="0.05" value="${rate}">
+                    <span class="rate-value">${rate.toFixed(2)}x</span>
+                </label>
+                <label>音调
+                    <input type="range" class="pitch-range" min="0.5" max="2" step="0.1" value="${pitch}">
+                    <span class="pitch-value">${pitch.toFixed(1)}</span>
+                </label>
+                <label>音量
+                    <input type="range" class="volume-range" min="0" max="1" step="0.1" value="${volume}">
+                    <span class="volume-value">${Math.round(volume * 100)}%</span>
+                </label>
+                <label>每段朗读
+                    <select class="repeat-select">
+                        ${[1, 2, 3, 5, 10].map(n => `<option value="${n}">${n} 遍</option>`).join('')}
+                    </select>
+                </label>
+                <label>段间停顿
+                    <select class="gap-select">
+                        ${[0, 1, 2, 3, 5].map(n => `<option value="${n * 1000}">${n ? n + ' 秒' : '不停顿'}</option>`).join('')}
+                    </select>
+                </label>
+                <div class="loop-group">
+                    <span>A–B 循环</span>
+                    <button class="loop-a-btn" title="把当前段设为循环起点">设为 A</button>
+                    <button class="loop-b-btn" title="把当前段设为循环终点">设为 B</button>
+                    <button class="loop-clear-btn" disabled>清除</button>
+                </div>
+                <label>睡眠定时
+                    <select class="sleep-select">
+                        <option value="">关闭</option>
+                        ${[10, 20, 30, 45].map(n => `<option value="t:${n}">${n} 分钟后</option>`).join('')}
+                        ${[5, 10, 20].map(n => `<option value="p:${n}">读完 ${n} 段</option>`).join('')}
+                    </select>
+                </label>
+                <span class="sleep-status" aria-live="polite"></span>
             </div>
         `;
 
@@ -179,9 +609,78 @@
             btn.addEventListener('click', () => setRate(parseFloat(btn.dataset.rate)));
         });
 
+        const optionsBtn = controls.querySelector('.options-btn');
+        const options = controls.querySelector('.reader-options');
+        optionsBtn.addEventListener('click', () => {
+            options.hidden = !options.hidden;
+            optionsBtn.setAttribute('aria-expanded', !options.hidden);
+        });
+        controls.querySelector('.voice-select').addEventListener('change', (e) => {
+            voiceURI = e.target.value;
+            saveVoiceSettings();
+            restartCurrent();
+        });
+        // 拖动滑块时只更新数值，松开后再应用，避免频繁重读
+        controls.querySelector('.rate-range').addEventListener('input', (e) => {
+            controls.querySelector('.rate-value').textContent = parseFloat(e.target.value).toFixed(2) + 'x';
+        });
+        controls.querySelector('.rate-range').addEventListener('change', (e) => {
+            setRate(parseFloat(e.target.value));
+        });
+        controls.querySelector('.pitch-range').addEventListener('input', (e) => {
+            controls.querySelector('.pitch-value').textContent = parseFloat(e.target.value).toFixed(1);
+        });
+        controls.querySelector('.pitch-range').addEventListener('change', (e) => {
+            pitch = parseFloat(e.target.value);
+            saveVoiceSettings();
+            restartCurrent();
+        });
+        controls.querySelector('.volume-range').addEventListener('input', (e) => {
+            controls.querySelector('.volume-value').textContent = Math.round(e.target.value * 100) + '%';
+        });
+        controls.querySelector('.volume-range').addEventListener('change', (e) => {
+            volume = parseFloat(e.target.value);
+            saveVoiceSettings();
+            restartCurrent();
+        });
+        controls.querySelector('.repeat-select').addEventListener('change', (e) => {
+            repeatCount = parseInt(e.target.value);
+            repeatDone = 0;
+        });
+        controls.querySelector('.gap-select').addEventListener('change', (e) => {
+            paragraphGap = parseInt(e.target.value);
+        });
+        controls.querySelector('.loop-a-btn').addEventListener('click', () => setLoopPoint('a'));
+        controls.querySelector('.loop-b-btn').addEventListener('click', () => setLoopPoint('b'));
+        controls.querySelector('.loop-clear-btn').addEventListener('click', clearLoop);
+        controls.querySelector('.sleep-select').addEventListener('change', (e) => {
+            if (e.target.value) setSleep(e.target.value);
+            else clearSleep();
+        });
+
         document.body.appendChild(controls);
+
+        // 点击正文中的任意字，从该字开始朗读（加载了字典弹窗时由弹窗提供"从这里朗读"）
+        document.addEventListener('click', (e) => {
+            const ruby = e.target.closest('.book-text ruby');
+            if (ruby && !window.CharPopover) readFromChar(ruby);
+        });
     }
 
-    // 初始化
+    // 供字典弹窗等模块使用同一套声音设置朗读
+    window.BookReader.speak = speakText;
+    window.BookReader.readFrom = readFromChar;
+
+    // 初始化：恢复本设备的声音设置，语速优先使用该书上次的语速
+    loadVoiceSettings();
+    const saved = window.ReadingProgress ? ReadingProgress.get() : null;
+    if (saved && typeof saved.rate === 'number') {
+        rate = saved.rate;
+    }
+    rate = Math.min(Math.max(rate, RATE_RANGE.min), RATE_RANGE.max);
     createControls();
+    populateVoices();
+    synth.addEventListener('voiceschanged', populateVoices);
+    document.addEventListener('bookpager:change', handlePageChange);
+    document.addEventListener('bookpager:paginate', handleRepaginate);
 })();
@@ -0,0 +1,284 @@
+// 书签与笔记模块
+// 为段落添加书签和笔记（书籍 ID + 页码 + 段落序号定位，并保存段落原文以便分页调整后重新定位），提供笔记面板和跳转
+
+(function () {
+    if (!window.BookReader || !window.BookPager || !window.ReadingProgress) return;
+
+    const { extractText, collectParagraphs } = window.BookReader;
+    const STORAGE_KEY = 'bookmarks';
+    const bookId = ReadingProgress.getBookId();
+    if (!bookId) return;
+
+    let panel = null;
+    let toggleBtn = null;
+
+    function loadAll() {
+        return getStorage(STORAGE_KEY) || [];
+    }
+
+    function saveAll(bookmarks) {
+        setStorage(STORAGE_KEY, bookmarks);
+    }
+
+    // 当前书籍的书签，按页码和段落排序
+    function loadBook() {
+        return loadAll()
+            .filter(b => b.bookId === bookId)
+            .sort((a, b) => a.page - b.page || a.paragraph - b.paragraph);
+    }
+
+    function paragraphText(p) {
+        return extractText(p).trim();
+    }
+
+    // 段落 → { page, paragraph }，初始化和重新分页时建立
+    const positions = new Map();
+
+    function indexParagraphs() {
+        const counters = new Map();
+        positions.clear();
+        collectParagraphs('all').forEach(p => {
+            const page = BookPager.pageOf(p);
+            const n = counters.get(page) || 0;
+            counters.set(page, n + 1);
+            positions.set(p, { page, paragraph: n });
+        });
+    }
+
+    function locate(p) {
+        return { ...positions.get(p) };
+    }
+
+    // 根据书签找到段落：先按页码和序号查找并核对原文，不一致时按原文全书查找
+    function resolve(bookmark) {
+        let candidate = null;
+        for (const [p, pos] of positions) {
+            if (pos.page === bookmark.page && pos.paragraph === bookmark.paragraph) {
+                candidate = p;
+                break;
+            }
+        }
+        if (candidate && paragraphText(candidate) === bookmark.text) return candidate;
+        for (const p of positions.keys()) {
+            if (paragraphText(p) === bookmark.text) return p;
+        }
+        return candidate;
+    }
+
+    function findByParagraph(p) {
+        return loadBook().find(b => resolve(b) === p) || null;
+    }
+
+    function upsert(p, changes) {
+        const bookmarks = loadAll();
+        const existing = findByParagraph(p);
+        const now = Date.now();
+
+        if (existing) {
+            Object.assign(bookmarks.find(b => b.id === existing.id), changes, { updatedAt: now });
+        } else {
+            bookmarks.push({
+                id: generateId('bm'),
+                bookId,
+                bookTitle: extractText(document.querySelector('.book-title')).trim(),
+                ...locate(p),
+                text: paragraphText(p),
+                note: '',
+                createdAt: now,
+                updatedAt: now,
+                ...changes
+            });
+        }
+        saveAll(bookmarks);
+        refresh();
+    }
+
+    function remove(id) {
+        saveAll(loadAll().filter(b => b.id !== id));
+        refresh();
+    }
+
+    // 分页调整后把书签的页码和序号更新为实际位置
+    function relocateAll() {
+        let changed = false;
+        const bookmarks = loadAll();
+        bookmarks.filter(b => b.bookId === bookId).forEach(b => {
+            const p = resolve(b);
+            if (!p) return;
+            const pos = locate(p);
+            if (pos.page !== b.page || pos.paragraph !== b.paragraph) {
+                Object.assign(b, pos);
+                changed = true;
+            }
+        });
+        if (changed) saveAll(bookmarks);
+    }
+
+    // 跳转到书签所在段落并短暂闪烁
+    function jumpTo(bookmark) {
+        const p = resolve(bookmark);
+        if (!p) return;
+        const pos = locate(p);
+        BookPager.goTo(pos.page);
+        p.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        p.classList.add('bookmark-flash');
+        setTimeout(() => p.classList.remove('bookmark-flash'), 1500);
+    }
+
+    // 在每个段落中加入书签和笔记按钮（标记 data-reader-skip，不参与朗读）
+    function decorateParagraphs() {
+        Array.from(positions.keys()).filter(p => p.querySelector('ruby')).forEach(p => {
+            const tools = document.createElement('span');
+            tools.className = 'paragraph-tools';
+            tools.setAttribute('data-reader-skip', '');
+            tools.innerHTML = `
+                <button class="bookmark-toggle" aria-pressed="false" aria-label="添加书签" title="书签">🔖</button>
+                <button class="note-edit" aria-label="写笔记" title="笔记">✎</button>
+            `;
+            tools.querySelector('.bookmark-toggle').addEventListener('click', (e) => {
+                e.stopPropagation();
+                const existing = findByParagraph(p);
+                if (!existing) {
+                    upsert(p, {});
+                } else if (!existing.note || confirm('删除书签会同时删除这段的笔记，确定吗？')) {
+                    remove(existing.id);
+                }
+            });
+            tools.querySelector('.note-edit').addEventListener('click', (e) => {
+                e.stopPropagation();
+                openPanel();
+                const existing = findByParagraph(p);
+                if (!existing) upsert(p, {});
+                editNote(findByParagraph(p).id);
+            });
+            p.classList.add('has-paragraph-tools');
+            p.appendChild(tools);
+        });
+    }
+
+    // 同步段落上的书签状态
+    function updateParagraphs() {
+        const marked = new Map(loadBook().map(b => [resolve(b), b]));
+        document.querySelectorAll('.has-paragraph-tools').forEach(p => {
+            const bookmark = marked.get(p);
+            const toggle = p.querySelector('.bookmark-toggle');
+            p.classList.toggle('bookmarked', !!bookmark);
+            toggle.setAttribute('aria-pressed', !!bookmark);
+            toggle.setAttribute('aria-label', bookmark ? '取消书签' : '添加书签');
+            p.querySelector('.note-edit').classList.toggle('has-note', !!(bookmark && bookmark.note));
+        });
+    }
+
+    function renderPanel() {
+        const bookmarks = loadBook();
+        const hasPages = BookPager.getTotalPages() > 1;
+
+        toggleBtn.textContent = `📑 书签笔记（${bookmarks.length}）`;
+        panel.querySelector('.notes-list').innerHTML = bookmarks.length === 0
+            ? '<li class="notes-empty">还没有书签，点击段落旁的 🔖 添加</li>'
+            : bookmarks.map(b => `
+                <li class="notes-item" data-id="${b.id}">
+                    <button class="notes-jump">${hasPages ? `第 ${b.page} 页 · ` : ''}${escapeHtml(b.text.slice(0, 16))}${b.text.length > 16 ? '…' : ''}</button>
+                    ${b.note ? `<p class="notes-text">${escapeHtml(b.note)}</p>` : ''}
+                    <div class="notes-actions">
+                        <button class="notes-edit">${b.note ? '编辑笔记' : '写笔记'}</button>
+                        <button class="notes-delete">删除</button>
+                    </div>
+                </li>
+            `).join('');
+
+        panel.querySelectorAll('.notes-item').forEach(li => {
+            const bookmark = bookmarks.find(b => b.id === li.dataset.id);
+            li.querySelector('.notes-jump').addEventListener('click', () => jumpTo(bookmark));
+            li.querySelector('.notes-edit').addEventListener('click', () => editNote(bookmark.id));
+            li.querySelector('.notes-delete').addEventListener('click', () => {
+                if (!bookmark.note || confirm('确定删除这条书签和笔记吗？')) remove(bookmark.id);
+            });
+        });
+    }
+
+    // 在面板中就地编辑笔记
+    function editNote(id) {
+        const li = panel.querySelector(`.notes-item[data-id="${id}"]`);
+        const bookmark = loadAll().find(b => b.id === id);
+        if (!li || !bookmark) return;
+
+        li.querySelector('.notes-actions').innerHTML = `
+            <textarea class="notes-input" rows="3" placeholder="写下讲解或感想（例如家长对这句的解释）">${escapeHtml(bookmark.note)}</textarea>
+            <button class="notes-save">保存</button>
+            <button class="notes-cancel">取消</button>
+        `;
+        const input = li.querySelector('.notes-input');
+        input.focus();
+        li.querySelector('.notes-save').addEventListener('click', () => {
+            const bookmarks = loadAll();
+            Object.assign(bookmarks.find(b => b.id === id), { note: input.value.trim(), updatedAt: Date.now() });
+            saveAll(bookmarks);
+            refresh();
+        });
+        li.querySelector('.notes-cancel').addEventListener('click', renderPanel);
+    }
+
+    function refresh() {
+        updateParagraphs();
+        renderPanel();
+    }
+
+    function openPanel() {
+        panel.hidden = false;
+        toggleBtn.setAttribute('aria-expanded', 'true');
+    }
+
+    function closePanel() {
+        panel.hidden = true;
+        toggleBtn.setAttribute('aria-expanded', 'false');
+    }
+
+    // 创建笔记面板和开关按钮
+    function createPanel() {
+        toggleBtn = document.createElement('button');
+        toggleBtn.className = 'notes-toggle';
+        toggleBtn.setAttribute('aria-controls', 'notes-panel');
+        toggleBtn.setAttribute('aria-expanded', 'false');
+        toggleBtn.addEventListener('click', () => (panel.hidden ? openPanel() : closePanel()));
+
+        panel = document.createElement('aside');
+        panel.id = 'notes-panel';
+        panel.className = 'notes-panel';
+        panel.setAttribute('aria-label', '书签与笔记');
+        panel.hidden = true;
+        panel.innerHTML = `
+            <div class="notes-header">
+                <h2>书签与笔记</h2>
+                <button class="notes-close" aria-label="关闭">✕</button>
+            </div>
+            <ul class="notes-list"></ul>
+            <a class="notes-all-link" href="${new URL('bookmarks.html', document.querySelector('.back-button').href)}">查看所有书籍的书签 →</a>
+        `;
+        panel.querySelector('.notes-close').addEventListener('click', closePanel);
+
+        document.body.appendChild(toggleBtn);
+        document.body.appendChild(panel);
+    }
+
+    // 初始化
+    indexParagraphs();
+    decorateParagraphs();
+    createPanel();
+    relocateAll();
+    refresh();
+
+    // 按视口重新分页后更新段落位置
+    document.addEventListener('bookpager:paginate', () => {
+        indexParagraphs();
+        relocateAll();
+        refresh();
+    });
+
+    // 从"我的书签"页面跳转过来时定位到对应段落（?bookmark=书签ID）
+    const target = parseQueryString(window.location.href).bookmark;
+    if (target) {
+        const bookmark = loadBook().find(b => b.id === target);
+        if (bookmark) jumpTo(bookmark);
+    }
+})();
@@ -0,0 +1,222 @@
+// 汉字字典弹窗
+// 点按正文中的任意字，弹出该字的拼音、部首、笔画、常用词语和简短释义（离线字典 data/char-dictionary.json），
+// 并可用朗读模块的声音设置读出这个字、从这个字开始朗读，或把这个字加入复习卡片
+
+(function () {
+    if (!document.querySelector('.book-text') || typeof dataLoader === 'undefined') return;
+
+    const GAP = 8;          // 弹窗与字之间的距离（像素）
+    const MARGIN = 8;       // 弹窗与视口边缘的最小距离（像素）
+    const sheetQuery = window.matchMedia('(max-width: 480px)');  // 小屏幕上显示为底部面板（见 book.css）
+
+    let popover = null;
+    let activeRuby = null;
+    let dictionary = null;  // 第一次点按时加载
+    let loading = null;
+
+    function loadDictionary() {
+        if (!loading) {
+            loading = dataLoader.loadCharDictionary()
+                .then(chars => {
+                    dictionary = chars;
+                    return chars;
+                })
+                .catch(error => {
+                    loading = null;
+                    throw error;
+                });
+        }
+        return loading;
+    }
+
+    // 节点的原文：繁体显示时取简体原文（字典和复习卡片按简体收字）
+    function textOf(node) {
+        return typeof chineseConverter !== 'undefined' ? chineseConverter.originalText(node) : node.textContent;
+    }
+
+    // <ruby> 中被注音的字和正文里标注的读音
+    function readRuby(ruby) {
+        const char = Array.from(ruby.childNodes)
+            .filter(node => node.nodeName !== 'RT' && node.nodeName !== 'RP')
+            .map(textOf)
+            .join('')
+            .trim();
+        const rt = ruby.querySelector('rt');
+        return { char, reading: rt ? rt.textContent.trim() : '' };
+    }
+
+    function createPopover() {
+        popover = document.createElement('div');
+        popover.className = 'char-popover';
+        popover.setAttribute('role', 'dialog');
+        popover.setAttribute('aria-labelledby', 'char-popover-char');
+        popover.tabIndex = -1;
+        popover.hidden = true;
+        popover.innerHTML = `
+            <div class="char-popover-header">
+                <span class="char-popover-char" id="char-popover-char" data-no-convert></span>
+                <span class="char-popover-pinyin"></span>
+                <button class="char-popover-close" aria-label="关闭">×</button>
+            </div>
+            <div class="char-popover-body"></div>
+            <div class="char-popover-actions">
+                <button class="char-popover-speak">🔊 读这个字</button>
+                <button class="char-popover-read-from">▶ 从这里朗读</button>
+                <button class="char-popover-flashcard">🃏 加入复习</button>
+            </div>
+        `;
+
+        popover.querySelector('.char-popover-close').addEventListener('click', close);
+        popover.querySelector('.char-popover-speak').addEventListener('click', () => {
+            if (activeRuby) BookReader.speak(readRuby(activeRuby).char);
+        });
+        popover.querySelector('.char-popover-read-from').addEventListener('click', () => {
+            const ruby = activeRuby;
+            close();
+            if (ruby) BookReader.readFrom(ruby);
+        });
+        popover.querySelector('.char-popover-flashcard').addEventListener('click', () => {
+            if (!activeRuby) return;
+            const { char, reading } = readRuby(activeRuby);
+            Flashcards.add({
+                type: 'char',
+                text: char,
+                pinyin: reading,
+                bookId: ReadingProgress.getBookId(),
+                bookTitle: textOf(document.querySelector('.book-title')).trim()
+            });
+            updateFlashcardButton(char);
+        });
+        popover.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') close();
+        });
+
+        document.body.appendChild(popover);
+    }
+
+    // 已经做成卡片的字不再重复添加
+    function updateFlashcardButton(char) {
+        const btn = popover.querySelector('.char-popover-flashcard');
+        btn.hidden = !window.Flashcards || !window.ReadingProgress;
+        if (btn.hidden) return;
+        const added = Flashcards.has('char', char);
+        btn.disabled = added;
+        btn.textContent = added ? '✓ 已加入复习' : '🃏 加入复习';
+    }
+
+    // 字典条目：部首、笔画、释义和常用词语
+    function renderEntry(char, reading, entry) {
+        const body = popover.querySelector('.char-popover-body');
+        if (!entry) {
+            body.innerHTML = '<p class="char-popover-empty">字典里还没有收录这个字</p>';
+            return;
+        }
+
+        const others = entry.pinyin.filter(p => p !== reading);
+        body.innerHTML = `
+            ${others.length > 0 ? `<p class="char-popover-other">另有读音：${others.map(escapeHtml).join('、')}</p>` : ''}
+            <p class="char-popover-info">部首 <strong>${escapeHtml(entry.radical)}</strong> · 笔画 <strong>${entry.strokes}</strong></p>
+            <p class="char-popover-meaning">${escapeHtml(entry.meaning)}</p>
+            <p class="char-popover-words">${entry.words.map(w => `<span>${escapeHtml(w)}</span>`).join('')}</p>
+        `;
+    }
+
+    // 在字的下方显示弹窗，下方放不下时显示在上方
+    function position(ruby) {
+        if (sheetQuery.matches) {
+            popover.style.left = '';
+            popover.style.top = '';
+            return;
+        }
+
+        const rect = ruby.getBoundingClientRect();
+        const width = popover.offsetWidth;
+        const height = popover.offsetHeight;
+
+        const left = Math.min(
+            Math.max(rect.left + rect.width / 2 - width / 2, MARGIN),
+            window.innerWidth - width - MARGIN
+        );
+        let top = rect.bottom + GAP;
+        if (top + height > window.innerHeight - MARGIN) {
+            top = Math.max(rect.top - height - GAP, MARGIN);
+        }
+
+        popover.style.left = Math.max(left, MARGIN) + window.scrollX + 'px';
+        popover.style.top = top + window.scrollY + 'px';
+    }
+
+    async function open(ruby) {
+        const { char, reading } = readRuby(ruby);
+        if (!char) return;
+
+        if (activeRuby) activeRuby.classList.remove('char-popover-active');
+        activeRuby = ruby;
+        ruby.classList.add('char-popover-active');
+
+        const canSpeak = !!(window.BookReader && BookReader.speak);
+        // 按正文中显示的字形显示（繁体显示时如"髮"），查字典仍用简体原文
+        popover.querySelector('.char-popover-char').textContent = Array.from(ruby.childNodes)
+            .filter(node => node.nodeName !== 'RT' && node.nodeName !== 'RP')
+            .map(node => node.textContent)
+            .join('')
+            .trim();
+        popover.querySelector('.char-popover-pinyin').textContent = reading;
+        popover.querySelector('.char-popover-speak').hidden = !canSpeak;
+        popover.querySelector('.char-popover-read-from').hidden = !canSpeak;
+        updateFlashcardButton(char);
+
+        if (dictionary) {
+            renderEntry(char, reading, dictionary[char]);
+        } else {
+            popover.querySelector('.char-popover-body').innerHTML = '<p class="char-popover-empty">字典加载中...</p>';
+        }
+        popover.hidden = false;
+        position(ruby);
+        popover.focus({ preventScroll: true });
+
+        if (!dictionary) {
+            try {
+                await loadDictionary();
+                if (activeRuby !== ruby) return;
+                renderEntry(char, reading, dictionary[char]);
+            } catch (error) {
+                if (activeRuby !== ruby) return;
+                popover.querySelector('.char-popover-body').innerHTML = '<p class="char-popover-empty">字典加载失败，请稍后再试</p>';
+            }
+            position(ruby);
+        }
+    }
+
+    function close() {
+        if (!popover || popover.hidden) return;
+        popover.hidden = true;
+        if (activeRuby) activeRuby.classList.remove('char-popover-active');
+        activeRuby = null;
+    }
+
+    // 点按字打开弹窗（再次点按同一个字关闭），点按其它地方关闭
+    function handleClick(e) {
+        if (popover.contains(e.target)) return;
+
+        const ruby = e.target.closest('.book-text ruby');
+        if (ruby && ruby !== activeRuby) {
+            open(ruby);
+        } else {
+            close();
+        }
+    }
+
+    window.CharPopover = { open, close };
+
+    // 初始化
+    createPopover();
+    document.addEventListener('click', handleClick);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') close();
+    });
+    document.addEventListener('bookpager:change', close);
+    window.addEventListener('resize', () => {
+        if (activeRuby) position(activeRuby);
+    });
+})();
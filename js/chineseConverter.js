@@ -0,0 +1,315 @@
+// 简繁转换模块
+// 离线转换简体字和繁体字：搜索时把繁体关键词转为简体，使"三字經"也能搜到"三字经"；
+// 全站"繁體"开关打开后，把页面中的标题、简介和书籍正文显示为繁体字，拼音注音保持不变
+//
+// 转换表见 data/hanzi-variants.json（由 tools/build-hanzi-variants.js 生成），按字一一对应，词组表只收录本站文本中一字多繁的词（如"以后"→"以後"），
+// 转换前后字数相同，因此阅读页每个 <ruby> 中的字仍与它的拼音一一对应
+
+class ChineseConverter {
+  constructor() {
+    // 简体字 → 繁体字、繁体字 → 简体字
+    this.toTraditionalMap = new Map();
+    this.toSimplifiedMap = new Map();
+    // 简体词 → 繁体词，以及最长词长（按字计）
+    this.phrases = new Map();
+    this.maxPhraseLength = 0;
+    this.loaded = false;
+    this.loading = null;
+
+    // 当前显示的字体：'simplified' 或 'traditional'
+    this.script = 'simplified';
+    // 已转换的文本节点 → 原文，切换回简体时还原
+    this.originals = new Map();
+    this.observer = null;
+    this.toggles = [];
+  }
+
+  /**
+   * 加载转换表（只加载一次）
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = dataLoader.loadHanziVariants()
+        .then(data => this.setData(data))
+        .catch(error => {
+          this.loading = null;
+          throw error;
+        });
+    }
+    return this.loading;
+  }
+
+  /**
+   * 设置转换表
+   * @param {Object} data - 转换表（见 DataLoader.loadHanziVariants）
+   */
+  setData(data) {
+    const parsePairs = (pairs) => {
+      const map = new Map();
+      const chars = Array.from(pairs || '');
+      for (let i = 0; i + 1 < chars.length; i += 2) {
+        map.set(chars[i], chars[i + 1]);
+      }
+      return map;
+    };
+
+    this.toTraditionalMap = parsePairs(data.toTraditional);
+    this.toSimplifiedMap = parsePairs(data.toSimplified);
+    this.phrases = new Map(Object.entries(data.phrases || {}));
+    this.maxPhraseLength = 0;
+    this.phrases.forEach((_, phrase) => {
+      this.maxPhraseLength = Math.max(this.maxPhraseLength, Array.from(phrase).length);
+    });
+    this.loaded = true;
+  }
+
+  /**
+   * 繁体转简体（逐字转换）
+   * @param {string} text - 原文
+   * @returns {string} 简体文本，未加载转换表时原样返回
+   */
+  toSimplified(text) {
+    if (!text) return text || '';
+    return Array.from(text).map(char => this.toSimplifiedMap.get(char) || char).join('');
+  }
+
+  /**
+   * 简体转繁体：优先按最长的词组转换，其余逐字转换，转换前后字数相同
+   * @param {string} text - 原文
+   * @returns {string} 繁体文本，未加载转换表时原样返回
+   */
+  toTraditional(text) {
+    if (!text) return text || '';
+    const chars = Array.from(text);
+    let result = '';
+    let i = 0;
+
+    while (i < chars.length) {
+      let matched = false;
+      for (let length = Math.min(this.maxPhraseLength, chars.length - i); length >= 2; length--) {
+        const phrase = this.phrases.get(chars.slice(i, i + length).join(''));
+        if (phrase) {
+          result += phrase;
+          i += length;
+          matched = true;
+          break;
+        }
+      }
+      if (!matched) {
+        result += this.toTraditionalMap.get(chars[i]) || chars[i];
+        i++;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 节点转换前的原文：文本节点为转换前的文本，元素为其中所有文本节点原文的拼接
+   * 阅读页的朗读、查字和搜索定位按原文（简体）处理，不受显示字体影响
+   * @param {Node} node - 文本节点或元素
+   * @returns {string} 原文
+   */
+  originalText(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const original = this.originals.get(node);
+      // 转换后又被其他代码改写过的节点，以当前文本为准
+      return original && original.converted === node.data ? original.text : node.data;
+    }
+    let text = '';
+    node.childNodes.forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE || child.nodeType === Node.ELEMENT_NODE) {
+        text += this.originalText(child);
+      }
+    });
+    return text;
+  }
+
+  /**
+   * 初始化：读取显示设置，在导航栏中加入简繁切换按钮，需要时转换页面
+   */
+  init() {
+    this.script = getStorage(SCRIPT_STORAGE_KEY) === 'traditional' ? 'traditional' : 'simplified';
+
+    const nav = document.querySelector('.nav-container');
+    if (nav) {
+      const toggle = this.createToggle();
+      const searchBox = nav.querySelector('.search-box');
+      nav.insertBefore(toggle, searchBox);
+    }
+
+    if (this.script === 'traditional') {
+      this.apply();
+    }
+  }
+
+  /**
+   * 创建简繁切换按钮（阅读页没有导航栏，由拼音显示栏调用）
+   * @returns {HTMLButtonElement} 切换按钮
+   */
+  createToggle() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'script-toggle';
+    // 按钮文字由 _updateToggles 设置，不参与转换
+    button.setAttribute('data-no-convert', '');
+    button.addEventListener('click', () => {
+      this.setScript(this.script === 'traditional' ? 'simplified' : 'traditional');
+    });
+    this.toggles.push(button);
+    this._updateToggles();
+    return button;
+  }
+
+  /**
+   * 切换显示字体并保存设置
+   * @param {string} script - 'simplified' 或 'traditional'
+   */
+  setScript(script) {
+    this.script = script === 'traditional' ? 'traditional' : 'simplified';
+    setStorage(SCRIPT_STORAGE_KEY, this.script);
+    if (this.script === 'traditional') {
+      this.apply();
+    } else {
+      this.restore();
+    }
+  }
+
+  /**
+   * 把页面显示为繁体，并转换之后加入页面的内容
+   * @returns {Promise<void>}
+   */
+  async apply() {
+    this._updateToggles();
+    try {
+      await this.load();
+    } catch (error) {
+      console.error('简繁转换失败:', error);
+      return;
+    }
+    // 加载期间已切换回简体
+    if (this.script !== 'traditional') return;
+
+    // 从根元素开始转换，<title> 中的页面标题也一并转换
+    document.documentElement.lang = 'zh-Hant';
+    this.convertTree(document.documentElement);
+
+    if (!this.observer && typeof MutationObserver !== 'undefined') {
+      this.observer = new MutationObserver(mutations => {
+        mutations.forEach(mutation => {
+          mutation.addedNodes.forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.ELEMENT_NODE) {
+              this.convertTree(node);
+            }
+          });
+        });
+      });
+      this.observer.observe(document.documentElement, { childList: true, subtree: true });
+    }
+  }
+
+  /**
+   * 还原为简体显示
+   */
+  restore() {
+    this._updateToggles();
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+
+    this.originals.forEach((original, node) => {
+      if (node.data === original.converted) {
+        node.data = original.text;
+      }
+    });
+    this.originals.clear();
+
+    document.documentElement.lang = 'zh-CN';
+  }
+
+  /**
+   * 转换节点及其子孙中的文本
+   * 同一段落中的文本节点（包括段落内各 <ruby> 中的字）合在一起转换，使跨节点的词组也能正确转换，
+   * 再按原来每个节点的字数写回
+   * @param {Node} root - 根节点
+   */
+  convertTree(root) {
+    const groups = new Map();
+
+    const addText = (node) => {
+      const parent = node.parentNode;
+      if (!parent || this.originals.has(node) || !/\p{Script=Han}/u.test(node.data)) return;
+      const container = parent.nodeName === 'RUBY' && parent.parentNode ? parent.parentNode : parent;
+      if (!groups.has(container)) groups.set(container, []);
+      groups.get(container).push(node);
+    };
+
+    if (root.nodeType === Node.TEXT_NODE) {
+      if (!this._isSkipped(root.parentNode)) addText(root);
+    } else if (!this._isSkipped(root)) {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.nodeType === Node.ELEMENT_NODE && this._isSkipped(node)
+          ? NodeFilter.FILTER_REJECT
+          : NodeFilter.FILTER_ACCEPT
+      });
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (node.nodeType === Node.TEXT_NODE) addText(node);
+      }
+    }
+
+    groups.forEach(nodes => {
+      const texts = nodes.map(node => node.data);
+      const converted = Array.from(this.toTraditional(texts.join('')));
+      let index = 0;
+      nodes.forEach((node, i) => {
+        const length = Array.from(texts[i]).length;
+        const text = converted.slice(index, index + length).join('');
+        index += length;
+        if (text !== texts[i]) {
+          this.originals.set(node, { text: texts[i], converted: text });
+          node.data = text;
+        }
+      });
+    });
+  }
+
+  /**
+   * 是否为不转换的元素：脚本、样式、输入框、拼音注音，以及标记了 data-no-convert 的元素
+   * @param {Node} node - 节点
+   * @returns {boolean}
+   * @private
+   */
+  _isSkipped(node) {
+    return !node || SKIPPED_TAGS.includes(node.nodeName) ||
+      (node.nodeType === Node.ELEMENT_NODE && node.hasAttribute('data-no-convert'));
+  }
+
+  /**
+   * 更新所有切换按钮的文字和状态
+   * @private
+   */
+  _updateToggles() {
+    const traditional = this.script === 'traditional';
+    this.toggles.forEach(button => {
+      button.textContent = traditional ? '简体' : '繁體';
+      button.lang = traditional ? 'zh-CN' : 'zh-Hant';
+      button.setAttribute('aria-pressed', traditional);
+      button.setAttribute('aria-label', traditional ? '切换为简体字显示' : '切換為繁體字顯示');
+    });
+  }
+}
+
+// 显示字体设置的存储键名
+const SCRIPT_STORAGE_KEY = 'chineseScript';
+// 不转换的元素
+const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'TEXTAREA', 'NOSCRIPT', 'RT', 'RP'];
+
+// 创建全局实例
+const chineseConverter = new ChineseConverter();
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => chineseConverter.init());
+} else {
+  chineseConverter.init();
+}
@@ -0,0 +1,84 @@
+// 字帖模块
+// 把书中指定范围的正文排成田字格 / 米字格字帖：每个字一行，依次为范字、灰色描红和空白练习格，
+// 格子用 SVG 生成，不依赖网络字体或图片，可直接打印到 A4 纸
+
+(function () {
+    const CELLS_PER_ROW = 10;       // 每行格数（与 copybook.css 中的格子宽度对应）
+    const GRID_COLOR = '#d32f2f';
+    const TRACE_COLOR = '#c8c8c8';
+
+    const GRIDS = {
+        tian: '田字格',
+        mi: '米字格'
+    };
+
+    // 书中所有正文行（带拼音），行号从 1 开始
+    function collectLines(book) {
+        return book.sections.flatMap(section => section.lines.filter(line => !line.type && line.pinyin));
+    }
+
+    /**
+     * 生成一个格子的 SVG
+     * @param {string} grid - 'tian' 或 'mi'
+     * @param {string} char - 格中的字，空白格传空字符串
+     * @param {boolean} trace - 是否为描红（灰色）
+     * @returns {string} SVG 字符串
+     */
+    function renderCell(grid, char = '', trace = false) {
+        const guides = grid === 'mi'
+            ? 'M50 0V100M0 50H100M0 0L100 100M100 0L0 100'
+            : 'M50 0V100M0 50H100';
+        const text = char
+            ? `<text x="50" y="54" text-anchor="middle" dominant-baseline="middle" font-size="80" fill="${trace ? TRACE_COLOR : '#000'}">${escapeHtml(char)}</text>`
+            : '';
+        return `<svg class="copybook-cell" viewBox="0 0 100 100" aria-hidden="true">`
+            + `<path d="${guides}" stroke="${GRID_COLOR}" stroke-width="0.8" stroke-dasharray="4 3" fill="none"/>`
+            + `<rect x="1" y="1" width="98" height="98" stroke="${GRID_COLOR}" stroke-width="2" fill="none"/>`
+            + text
+            + '</svg>';
+    }
+
+    // 一个字的练习行：拼音在上，格子在下（范字 1 格、描红 traces 格，其余为空白格）
+    function renderRow(char, reading, options) {
+        const cells = [];
+        for (let i = 0; i < CELLS_PER_ROW; i++) {
+            const filled = i <= options.traces;
+            cells.push(`
+                <div class="copybook-slot">
+                    <span class="copybook-pinyin">${options.pinyin && filled ? escapeHtml(reading) : ''}</span>
+                    ${renderCell(options.grid, filled ? char : '', i > 0)}
+                </div>
+            `);
+        }
+        return `<div class="copybook-row">${cells.join('')}</div>`;
+    }
+
+    /**
+     * 生成字帖
+     * @param {Object} book - 书籍数据
+     * @param {Object} options - { from, to（行号，含两端）, grid, traces（描红格数）, unique（跳过重复的字）, pinyin（是否标注拼音） }
+     * @returns {Object} { html, text（所选正文）, count（字数） }
+     */
+    function renderSheet(book, options) {
+        const lines = collectLines(book).slice(options.from - 1, options.to);
+        const seen = new Set();
+        const rows = [];
+
+        lines.forEach(line => {
+            const readings = line.pinyin.split(/\s+/);
+            Array.from(line.text).filter(c => /\p{Script=Han}/u.test(c)).forEach((char, i) => {
+                if (options.unique && seen.has(char)) return;
+                seen.add(char);
+                rows.push(renderRow(char, readings[i] || '', options));
+            });
+        });
+
+        return {
+            html: rows.join(''),
+            text: lines.map(line => line.text).join(''),
+            count: rows.length
+        };
+    }
+
+    window.Copybook = { GRIDS, CELLS_PER_ROW, collectLines, renderCell, renderSheet };
+})();
@@ -1,6 +1,9 @@
 /**
  * 数据加载器
  * 负责加载和缓存 JSON 数据，提供错误处理和重试逻辑
+ * 各页面共用的数据文件（内容、配置、推荐、搜索和拼音索引、汉字字典、简繁转换表）还会持久缓存（见 persistentCache.js），
+ * 后台与服务器核对时按文件内容判断是否有更新；缓存数据有更新时在 window 上发出 dataupdate 事件
+ * 内容、配置和推荐数据按 dataSchema.js 声明的结构校验，不合格的条目跳过，不影响其他内容显示
  */
 class DataLoader {
   constructor() {
@@ -17,6 +20,37 @@ class DataLoader {
     // 重试配置
     this.maxRetries = 3;
     this.retryDelay = 1000; // 1秒
+
+    // 持久化缓存：未加载 persistentCache.js 或 config.json 中关闭缓存（performance.cacheEnabled）时只在内存中缓存
+    this.persistent = typeof PersistentCache !== 'undefined' ? new PersistentCache() : null;
+    this.persistEnabled = true;
+    // 正在后台核对的缓存键名，避免同一页面中重复请求
+    this.revalidating = new Set();
+
+    // 不加载 config.json 的页面沿用最近一次保存的缓存设置
+    this.applyCacheSettings(getStorage(CACHE_SETTINGS_KEY));
+  }
+
+  /**
+   * 应用缓存设置（config.json 的 performance 配置）
+   * 关闭缓存时清空已持久缓存的数据
+   * @param {Object} performance - { cacheEnabled, cacheDuration, cacheMaxEntries, cacheMaxSize }
+   */
+  applyCacheSettings(performance) {
+    if (!performance) return;
+
+    if (performance.cacheDuration) {
+      this.cacheDuration = performance.cacheDuration;
+    }
+    this.persistEnabled = performance.cacheEnabled !== false;
+
+    if (this.persistent) {
+      if (this.persistEnabled) {
+        this.persistent.setLimits({ maxEntries: performance.cacheMaxEntries, maxSize: performance.cacheMaxSize });
+      } else {
+        this.persistent.clear();
+      }
+    }
   }
 
   /**
@@ -26,7 +60,7 @@ class DataLoader {
    */
   isCacheValid(key) {
     const cached = this.cache[key];
-    if (!cached.data || !cached.timestamp) {
+    if (!cached || !cached.data || !cached.timestamp) {
       return false;
     }
     
@@ -59,11 +93,12 @@ class DataLoader {
    * 带重试的 fetch 请求
    * @param {string} url - 请求 URL
    * @param {number} retries - 剩余重试次数
+   * @param {Object} options - fetch 选项，可选
    * @returns {Promise<Response>} fetch 响应
    */
-  async fetchWithRetry(url, retries = this.maxRetries) {
+  async fetchWithRetry(url, retries = this.maxRetries, options = undefined) {
     try {
-      const response = await fetch(url);
+      const response = await fetch(url, options);
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -74,7 +109,7 @@ class DataLoader {
       if (retries > 0) {
         console.warn(`请求失败，${this.retryDelay}ms 后重试... (剩余重试次数: ${retries})`);
         await new Promise(resolve => setTimeout(resolve, this.retryDelay));
-        return this.fetchWithRetry(url, retries - 1);
+        return this.fetchWithRetry(url, retries - 1, options);
       }
       
       throw error;
@@ -82,39 +117,197 @@ class DataLoader {
   }
 
   /**
-   * 加载所有内容数据
-   * @returns {Promise<Array>} 内容数组
+   * 加载 JSON 数据文件并在内存中缓存；加载失败时使用过期的缓存（如有）
+   * @param {string} key - 缓存键名
+   * @param {string} url - 文件地址
+   * @param {string} label - 数据名称，用于错误信息（如"汉字字典"）
+   * @param {Function} parse - 验证文件内容并返回要缓存的数据，格式无效时抛出错误
+   * @param {Object} options - { persist }：persist 为 true 时还在各页面之间持久缓存（见 _loadVersioned）
+   * @returns {Promise<*>} 数据
+   * @private
    */
-  async loadContent() {
+  async _loadJson(key, url, label, parse, { persist = false } = {}) {
+    try {
+      if (persist) {
+        return await this._loadVersioned(key, url, parse);
+      }
+      if (this.isCacheValid(key)) {
+        return this.getCache(key);
+      }
+
+      const response = await this.fetchWithRetry(url);
+      const value = parse(await response.json());
+      this.setCache(key, value);
+      return value;
+    } catch (error) {
+      console.error(`加载${label}失败:`, error);
+
+      if (this.cache[key] && this.cache[key].data) {
+        console.warn('使用过期缓存数据');
+        return this.cache[key].data;
+      }
+
+      throw new Error(`无法加载${label}: ${error.message}`);
+    }
+  }
+
+  /**
+   * 加载数据文件，并在各页面之间持久缓存
+   * 依次使用内存缓存、持久化缓存和网络：持久缓存的数据立即返回，超过缓存时间的在后台与服务器核对，
+   * 文件内容变化时更新缓存并发出 dataupdate 事件（下次打开页面时生效）
+   *
+   * @param {string} key - 缓存键名
+   * @param {string} url - 文件地址
+   * @param {Function} parse - 验证文件内容并返回要缓存的数据，格式无效时抛出错误
+   * @returns {Promise<*>} 数据
+   * @private
+   */
+  async _loadVersioned(key, url, parse) {
     // 检查缓存
-    if (this.isCacheValid('content')) {
-      return this.getCache('content');
+    if (this.isCacheValid(key)) {
+      return this.getCache(key);
     }
-    
+
+    const record = await this._readPersisted(key);
+    if (record) {
+      try {
+        const value = parse(record.data);
+        this.setCache(key, value);
+        if (Date.now() - record.checkedAt >= this.cacheDuration) {
+          this._revalidate(key, url, parse, record);
+        }
+        return value;
+      } catch (error) {
+        // 缓存的数据已不符合当前格式，丢弃后从网络加载
+        this.persistent.delete(key);
+      }
+    }
+
+    const response = await this.fetchWithRetry(url);
+    const data = await response.json();
+    const value = parse(data);
+
+    // 缓存数据
+    this.setCache(key, value);
+    this._persist(key, url, data);
+
+    return value;
+  }
+
+  /**
+   * 后台与服务器核对持久缓存的数据，内容变化时更新缓存并发出 dataupdate 事件
+   * 事件的 detail 为 { key, version, previousVersion }
+   * @param {string} key - 缓存键名
+   * @param {string} url - 文件地址
+   * @param {Function} parse - 见 _loadVersioned
+   * @param {Object} record - 持久缓存的记录
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _revalidate(key, url, parse, record) {
+    if (this.revalidating.has(key)) return;
+    this.revalidating.add(key);
+
+    // 不加载配置的页面也顺带核对配置，使缓存设置的修改能够生效
+    if (key !== 'config' && !this.isCacheValid('config')) {
+      this.loadConfig().catch(() => {});
+    }
+
     try {
-      const response = await this.fetchWithRetry('./data/content.json');
+      // 绕过浏览器的 HTTP 缓存，向服务器确认文件是否有变化
+      const response = await this.fetchWithRetry(url, 0, { cache: 'no-cache' });
       const data = await response.json();
-      
+      const value = parse(data);
+      const version = this._versionOf(data);
+
+      // 按内容比较：修改了文件却没有更新 version / lastUpdated 时也能发现
+      if (JSON.stringify(data) === JSON.stringify(record.data)) {
+        await this.persistent.touch(key);
+        return;
+      }
+
+      this.setCache(key, value);
+      await this._persist(key, url, data);
+      window.dispatchEvent(new CustomEvent('dataupdate', {
+        detail: { key, version, previousVersion: record.version }
+      }));
+    } catch (error) {
+      console.warn(`后台更新 ${url} 失败:`, error);
+    } finally {
+      this.revalidating.delete(key);
+    }
+  }
+
+  /**
+   * 读取持久缓存的记录
+   * @param {string} key - 缓存键名
+   * @returns {Promise<Object|null>} 记录，未启用持久缓存或没有记录时返回 null
+   * @private
+   */
+  async _readPersisted(key) {
+    if (!this.persistent || !this.persistEnabled) return null;
+    return this.persistent.get(key);
+  }
+
+  /**
+   * 持久缓存文件内容
+   * @param {string} key - 缓存键名
+   * @param {string} url - 文件地址
+   * @param {Object} data - 文件内容
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persist(key, url, data) {
+    if (!this.persistent || !this.persistEnabled) return;
+    await this.persistent.set(key, { url, version: this._versionOf(data), data });
+  }
+
+  /**
+   * 数据文件的版本标识：version 和 lastUpdated 的组合（随 dataupdate 事件报告，是否有更新按内容判断）
+   * @param {Object} data - 文件内容
+   * @returns {string|null} 版本标识，文件没有这两个字段时返回 null
+   * @private
+   */
+  _versionOf(data) {
+    const parts = [data.version, data.lastUpdated].filter(Boolean);
+    return parts.length > 0 ? parts.join('@') : null;
+  }
+
+  /**
+   * 按 DataSchema 校验数据文件（见 dataSchema.js），不合格的条目和字段跳过并在控制台报告
+   * 未加载 dataSchema.js 时原样返回
+   * @param {string} name - 文件名（content / recommendations / config）
+   * @param {Object} data - 文件内容
+   * @returns {Object} 去掉不合格条目和字段后的文件内容
+   * @private
+   */
+  _validate(name, data) {
+    if (typeof DataSchema === 'undefined') return data;
+
+    const result = DataSchema.validate(name, data);
+    if (!result.valid) {
+      const { path, message } = result.errors[0];
+      throw new Error(`数据格式无效（${path}：${message}）`);
+    }
+    if (result.errors.length > 0) {
+      console.warn(`data/${name}.json 中有 ${result.errors.length} 处数据不符合格式，已跳过相应的条目或字段:`,
+        result.errors.map(({ path, message }) => `${path}：${message}`));
+    }
+    return result.data;
+  }
+
+  /**
+   * 加载所有内容数据
+   * @returns {Promise<Array>} 内容数组
+   */
+  async loadContent() {
+    return this._loadJson('content', './data/content.json', '内容数据', data => {
       // 验证数据结构
       if (!data.content || !Array.isArray(data.content)) {
         throw new Error('内容数据格式无效');
       }
-      
-      // 缓存数据
-      this.setCache('content', data.content);
-      
-      return data.content;
-    } catch (error) {
-      console.error('加载内容失败:', error);
-      
-      // 如果有旧缓存，返回旧缓存（即使过期）
-      if (this.cache.content.data) {
-        console.warn('使用过期缓存数据');
-        return this.cache.content.data;
-      }
-      
-      throw new Error(`无法加载内容数据: ${error.message}`);
-    }
+      return this._validate('content', data).content;
+    }, { persist: true });
   }
 
   /**
@@ -160,35 +353,13 @@ class DataLoader {
    * @returns {Promise<Array>} 推荐配置数组
    */
   async loadRecommendations() {
-    // 检查缓存
-    if (this.isCacheValid('recommendations')) {
-      return this.getCache('recommendations');
-    }
-    
-    try {
-      const response = await this.fetchWithRetry('./data/recommendations.json');
-      const data = await response.json();
-      
+    return this._loadJson('recommendations', './data/recommendations.json', '推荐数据', data => {
       // 验证数据结构
       if (!data.recommendations || !Array.isArray(data.recommendations)) {
         throw new Error('推荐数据格式无效');
       }
-      
-      // 缓存数据
-      this.setCache('recommendations', data.recommendations);
-      
-      return data.recommendations;
-    } catch (error) {
-      console.error('加载推荐失败:', error);
-      
-      // 如果有旧缓存，返回旧缓存（即使过期）
-      if (this.cache.recommendations.data) {
-        console.warn('使用过期缓存数据');
-        return this.cache.recommendations.data;
-      }
-      
-      throw new Error(`无法加载推荐数据: ${error.message}`);
-    }
+      return this._validate('recommendations', data).recommendations;
+    }, { persist: true });
   }
 
   /**
@@ -211,6 +382,7 @@ class DataLoader {
               recommendationPriority: rec.priority
             };
           }
+          console.warn(`推荐的内容 ${rec.contentId} 不存在，已跳过`);
           return null;
         })
         .filter(item => item !== null)
@@ -223,49 +395,105 @@ class DataLoader {
     }
   }
 
+  /**
+   * 加载书籍正文数据（data/books/<id>.json）
+   * 格式：{ id, title, pagination?, sections: [{ title?, style?, lines: [{ text, pinyin } | { type, text }] }] }
+   * @param {string} id - 书籍 ID（如 book-001）
+   * @returns {Promise<Object>} 书籍数据
+   */
+  async loadBook(id) {
+    if (!id || !/^[\w-]+$/.test(id)) {
+      throw new Error('书籍 ID 无效');
+    }
+
+    return this._loadJson(`book:${id}`, `./data/books/${id}.json`, `书籍数据（${id}）`, data => {
+      if (data.id !== id || !data.title || !Array.isArray(data.sections)) {
+        throw new Error('书籍数据格式无效');
+      }
+      return data;
+    });
+  }
+
+  /**
+   * 加载离线汉字字典（data/char-dictionary.json）
+   * 格式：{ chars: { 字: { pinyin: [读音…], radical, strokes, meaning, words: [词语…] } } }
+   * @returns {Promise<Object>} 字 → 字典条目
+   */
+  async loadCharDictionary() {
+    return this._loadJson('charDictionary', './data/char-dictionary.json', '汉字字典', data => {
+      if (!data.chars || typeof data.chars !== 'object') {
+        throw new Error('字典数据格式无效');
+      }
+      return data.chars;
+    }, { persist: true });
+  }
+
+  /**
+   * 加载内容标题和标签的拼音索引（data/pinyin-index.json，由 tools/build-pinyin-index.js 生成）
+   * 格式：{ items: { 内容ID: { title: "sān zì jīng", tags: [读音…] } } }，读音依次对应文本中的汉字
+   * @returns {Promise<Object>} 内容ID → 拼音条目
+   */
+  async loadPinyinIndex() {
+    return this._loadJson('pinyinIndex', './data/pinyin-index.json', '拼音索引', data => {
+      if (!data.items || typeof data.items !== 'object') {
+        throw new Error('拼音索引格式无效');
+      }
+      return data.items;
+    }, { persist: true });
+  }
+
+  /**
+   * 加载预先生成的内容搜索索引（data/search-index.json，由 tools/build-search-index.js 生成）
+   * 格式见 SearchEngine.buildIndex；索引是否与内容一致由 SearchEngine.setData 检查
+   * @returns {Promise<Object>} 搜索索引
+   */
+  async loadSearchIndex() {
+    return this._loadJson('searchIndex', './data/search-index.json', '搜索索引', data => {
+      if (!Array.isArray(data.docs) || !data.postings || typeof data.postings !== 'object') {
+        throw new Error('搜索索引格式无效');
+      }
+      return data;
+    }, { persist: true });
+  }
+
+  /**
+   * 加载简繁转换表（data/hanzi-variants.json）
+   * 格式：{ toTraditional: "简繁简繁…", toSimplified: "繁简繁简…", phrases: { 简体词: 繁体词 } }
+   * @returns {Promise<Object>} 转换表
+   */
+  async loadHanziVariants() {
+    return this._loadJson('hanziVariants', './data/hanzi-variants.json', '简繁转换表', data => {
+      if (typeof data.toTraditional !== 'string' || typeof data.toSimplified !== 'string') {
+        throw new Error('简繁转换表格式无效');
+      }
+      return data;
+    }, { persist: true });
+  }
+
   /**
    * 加载站点配置
    * @returns {Promise<Object>} 配置对象
    */
   async loadConfig() {
-    // 检查缓存
-    if (this.isCacheValid('config')) {
-      return this.getCache('config');
-    }
-    
-    try {
-      const response = await this.fetchWithRetry('./data/config.json');
-      const data = await response.json();
-      
+    return this._loadJson('config', './data/config.json', '配置数据', data => {
       // 验证数据结构
       if (!data.site || !data.contentTypes || !data.ageRatings) {
         throw new Error('配置数据格式无效');
       }
-      
-      // 更新缓存过期时间（如果配置中有指定）
-      if (data.performance && data.performance.cacheDuration) {
-        this.cacheDuration = data.performance.cacheDuration;
+      data = this._validate('config', data);
+
+      // 应用并保存缓存设置（缓存时间、是否持久缓存、容量上限），供不加载配置的页面使用
+      if (data.performance) {
+        this.applyCacheSettings(data.performance);
+        setStorage(CACHE_SETTINGS_KEY, data.performance);
       }
-      
-      // 缓存数据
-      this.setCache('config', data);
-      
+
       return data;
-    } catch (error) {
-      console.error('加载配置失败:', error);
-      
-      // 如果有旧缓存，返回旧缓存（即使过期）
-      if (this.cache.config.data) {
-        console.warn('使用过期缓存数据');
-        return this.cache.config.data;
-      }
-      
-      throw new Error(`无法加载配置数据: ${error.message}`);
-    }
+    }, { persist: true });
   }
 
   /**
-   * 清除所有缓存
+   * 清除所有缓存（包括持久缓存）
    */
   clearCache() {
     this.cache = {
@@ -273,16 +501,22 @@ class DataLoader {
       config: { data: null, timestamp: null },
       recommendations: { data: null, timestamp: null }
     };
+    if (this.persistent) {
+      this.persistent.clear();
+    }
   }
 
   /**
-   * 清除指定缓存
-   * @param {string} key - 缓存键名 (content, config, recommendations)
+   * 清除指定缓存（包括持久缓存）
+   * @param {string} key - 缓存键名 (content, config, recommendations, searchIndex, pinyinIndex, charDictionary, hanziVariants)
    */
   clearCacheByKey(key) {
     if (this.cache[key]) {
       this.cache[key] = { data: null, timestamp: null };
     }
+    if (this.persistent) {
+      this.persistent.delete(key);
+    }
   }
 
   /**
@@ -305,5 +539,8 @@ class DataLoader {
   }
 }
 
+// 缓存设置的存储键名（保存最近一次加载的 config.json 的 performance 配置）
+const CACHE_SETTINGS_KEY = 'dataCacheSettings';
+
 // 创建全局实例
 const dataLoader = new DataLoader();
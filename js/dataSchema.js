@@ -0,0 +1,272 @@
+// 数据文件结构定义和校验
+// 声明 content.json、recommendations.json 和 config.json 的结构。DataLoader 加载时按结构校验，
+// 不合格的条目跳过、不合格的可选字段忽略，并在控制台报告，其余内容照常显示；
+// tools/check-data.js 用同一份定义检查整个仓库
+//
+// 结构写法：{ type, required, enum, pattern, minLength, minimum, properties, items }
+//   type 为 string / number / integer / boolean / object / array；properties 为对象各字段的结构，items 为数组元素的结构
+//
+// 校验规则：数组中不合格的元素跳过；对象中不合格的可选字段忽略，必填字段缺少或不合格时整个对象不合格；
+// 文件本身（最外层对象）不合格时整个文件无效
+
+class DataSchema {
+  /**
+   * 校验数据文件
+   * @param {string} name - 文件名（content / recommendations / config）
+   * @param {*} data - 文件内容
+   * @returns {Object} { valid, data, errors, warnings }
+   *   valid 为文件是否可用；data 为去掉不合格条目和字段后的内容；
+   *   errors 为不合格的数据 [{ path, message }]（path 如 content[3].ageRating）；warnings 为结构中未声明的字段
+   */
+  static validate(name, data) {
+    const schema = DataSchema.FILES[name];
+    if (!schema) {
+      throw new Error(`未声明结构的数据文件: ${name}`);
+    }
+
+    const report = { errors: [], warnings: [] };
+    const result = DataSchema.check(data, schema, '', report);
+    return { valid: result.ok, data: result.value, errors: report.errors, warnings: report.warnings };
+  }
+
+  /**
+   * 按结构校验一个值
+   * @param {*} value - 要校验的值
+   * @param {Object} schema - 结构
+   * @param {string} path - 值在文件中的位置，用于报告
+   * @param {Object} report - 收集问题的 { errors, warnings }
+   * @returns {Object} { ok, value }，value 为去掉不合格元素和字段后的值
+   */
+  static check(value, schema, path, report) {
+    const fail = message => {
+      report.errors.push({ path: path || '(文件)', message });
+      return { ok: false, value: undefined };
+    };
+
+    if (!isSchemaType(value, schema.type)) {
+      return fail(`应为${SCHEMA_TYPE_NAMES[schema.type]}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      return fail(`取值 ${JSON.stringify(value)} 无效，应为 ${schema.enum.join('、')} 之一`);
+    }
+    if (schema.minLength && value.length < schema.minLength) {
+      return fail('不能为空');
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      return fail(`格式无效: ${JSON.stringify(value)}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return fail(`不能小于 ${schema.minimum}`);
+    }
+
+    if (schema.type === 'array' && schema.items) {
+      const items = [];
+      value.forEach((item, index) => {
+        const result = DataSchema.check(item, schema.items, `${path}[${index}]`, report);
+        if (result.ok) items.push(result.value);
+      });
+      return { ok: true, value: items };
+    }
+
+    if (schema.type === 'object' && schema.properties) {
+      const fieldPath = key => (path ? `${path}.${key}` : key);
+      const result = {};
+      let ok = true;
+
+      Object.keys(value).forEach(key => {
+        const property = schema.properties[key];
+        if (!property) {
+          report.warnings.push({ path: fieldPath(key), message: '结构中未声明的字段' });
+          result[key] = value[key];
+          return;
+        }
+        const checked = DataSchema.check(value[key], property, fieldPath(key), report);
+        if (checked.ok) {
+          result[key] = checked.value;
+        } else if (property.required) {
+          ok = false;
+        }
+      });
+
+      Object.keys(schema.properties).forEach(key => {
+        if (schema.properties[key].required && value[key] === undefined) {
+          report.errors.push({ path: fieldPath(key), message: '缺少必填字段' });
+          ok = false;
+        }
+      });
+
+      return ok ? { ok: true, value: result } : { ok: false, value: undefined };
+    }
+
+    return { ok: true, value };
+  }
+}
+
+// 内容类型和年龄分级的取值（与 config.json 的 contentTypes、ageRatings 一致，由 tools/check-data.js 核对）
+DataSchema.CONTENT_TYPES = ['books', 'documentaries', 'tv-series', 'movies', 'kids'];
+DataSchema.AGE_RATINGS = ['6+', '9+', '12+', '15+'];
+
+const SCHEMA_TYPE_NAMES = {
+  string: '字符串',
+  number: '数字',
+  integer: '整数',
+  boolean: '布尔值（true / false）',
+  object: '对象',
+  array: '数组'
+};
+
+function isSchemaType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    default: return true;
+  }
+}
+
+// 内容 ID：字母、数字、下划线和连字符（如 book-001），与阅读页的书籍 ID 规则相同
+const SCHEMA_ID_PATTERN = /^[\w-]+$/;
+// 日期：2024-01-26 或 2024-01-26T12:00:00Z
+const SCHEMA_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const SCHEMA_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+const SCHEMA_TEXT = { type: 'string', minLength: 1 };
+const SCHEMA_REQUIRED_TEXT = { type: 'string', minLength: 1, required: true };
+const SCHEMA_DATE = { type: 'string', pattern: SCHEMA_DATE_PATTERN };
+
+DataSchema.FILES = {
+  content: {
+    type: 'object',
+    properties: {
+      version: SCHEMA_TEXT,
+      lastUpdated: SCHEMA_DATE,
+      content: {
+        type: 'array',
+        required: true,
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', pattern: SCHEMA_ID_PATTERN, required: true },
+            type: { type: 'string', enum: DataSchema.CONTENT_TYPES, required: true },
+            title: SCHEMA_REQUIRED_TEXT,
+            description: SCHEMA_REQUIRED_TEXT,
+            detailedDescription: SCHEMA_TEXT,
+            cover: SCHEMA_REQUIRED_TEXT,
+            ageRating: { type: 'string', enum: DataSchema.AGE_RATINGS, required: true },
+            metadata: {
+              type: 'object',
+              properties: {
+                author: SCHEMA_TEXT,
+                publisher: SCHEMA_TEXT,
+                publishDate: SCHEMA_DATE,
+                language: SCHEMA_TEXT,
+                director: SCHEMA_TEXT,
+                duration: SCHEMA_TEXT,
+                episodes: { type: 'integer', minimum: 1 },
+                cast: { type: 'array', items: SCHEMA_TEXT }
+              }
+            },
+            links: {
+              type: 'object',
+              properties: {
+                read: SCHEMA_TEXT,
+                watch: SCHEMA_TEXT
+              }
+            },
+            tags: { type: 'array', items: SCHEMA_TEXT },
+            featured: { type: 'boolean' },
+            createdAt: SCHEMA_DATE,
+            updatedAt: SCHEMA_DATE
+          }
+        }
+      }
+    }
+  },
+
+  recommendations: {
+    type: 'object',
+    properties: {
+      version: SCHEMA_TEXT,
+      lastUpdated: SCHEMA_DATE,
+      recommendations: {
+        type: 'array',
+        required: true,
+        items: {
+          type: 'object',
+          properties: {
+            contentId: { type: 'string', pattern: SCHEMA_ID_PATTERN, required: true },
+            priority: { type: 'integer', minimum: 1, required: true },
+            reason: SCHEMA_TEXT
+          }
+        }
+      }
+    }
+  },
+
+  config: {
+    type: 'object',
+    properties: {
+      version: SCHEMA_TEXT,
+      lastUpdated: SCHEMA_DATE,
+      site: {
+        type: 'object',
+        required: true,
+        properties: {
+          title: SCHEMA_REQUIRED_TEXT,
+          description: SCHEMA_TEXT,
+          baseUrl: SCHEMA_TEXT,
+          language: SCHEMA_TEXT
+        }
+      },
+      contentTypes: {
+        type: 'array',
+        required: true,
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', enum: DataSchema.CONTENT_TYPES, required: true },
+            name: SCHEMA_REQUIRED_TEXT,
+            icon: SCHEMA_TEXT
+          }
+        }
+      },
+      ageRatings: {
+        type: 'array',
+        required: true,
+        items: {
+          type: 'object',
+          properties: {
+            value: { type: 'string', enum: DataSchema.AGE_RATINGS, required: true },
+            label: SCHEMA_REQUIRED_TEXT,
+            color: { type: 'string', pattern: SCHEMA_COLOR_PATTERN },
+            description: SCHEMA_TEXT
+          }
+        }
+      },
+      search: {
+        type: 'object',
+        properties: {
+          popularQueries: { type: 'array', items: SCHEMA_TEXT }
+        }
+      },
+      performance: {
+        type: 'object',
+        properties: {
+          imageLazyLoad: { type: 'boolean' },
+          cacheEnabled: { type: 'boolean' },
+          cacheDuration: { type: 'integer', minimum: 0 },
+          cacheMaxEntries: { type: 'integer', minimum: 1 },
+          cacheMaxSize: { type: 'integer', minimum: 1 }
+        }
+      }
+    }
+  }
+};
+
+// 导出（供 Node 命令行工具检查数据）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DataSchema };
+}
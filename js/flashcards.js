@@ -0,0 +1,234 @@
+// 复习卡片模块
+// 把书中的字和句子（或书签中的段落）做成复习卡片保存在本地存储中，按 SM-2 算法安排每张卡片的下次复习日期
+
+(function () {
+    const STORAGE_KEY = 'flashcards';
+    const DEFAULT_EASE = 2.5;   // SM-2 初始难度系数
+    const MIN_EASE = 1.3;       // 难度系数下限
+    const NEW_PER_DAY = 10;     // 每天最多开始学习的新卡片数
+
+    // 评分（SM-2 的 0–5 分中选取 4 档，低于 3 分视为忘记）
+    const GRADES = {
+        again: 1,   // 忘了
+        hard: 3,    // 想了很久才记起
+        good: 4,    // 记得
+        easy: 5     // 太简单
+    };
+
+    function loadAll() {
+        return getStorage(STORAGE_KEY) || [];
+    }
+
+    function saveAll(cards) {
+        setStorage(STORAGE_KEY, cards);
+    }
+
+    // 本地日期（YYYY-MM-DD），offset 为相对今天的天数
+    function dateKey(offset = 0) {
+        const now = new Date();
+        const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // 距今天的天数（负数表示已过期）
+    function daysUntil(key) {
+        const [y, m, d] = key.split('-').map(Number);
+        const now = new Date();
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        return Math.round((new Date(y, m - 1, d) - today) / 86400000);
+    }
+
+    // 字卡按字去重（不分书籍），句卡按书籍和原文去重
+    function find(cards, type, text, bookId) {
+        return cards.find(c => c.type === type && c.text === text && (type === 'char' || c.bookId === bookId)) || null;
+    }
+
+    function has(type, text, bookId) {
+        return !!find(loadAll(), type, text, bookId);
+    }
+
+    function createCard(fields) {
+        return {
+            id: generateId('fc'),
+            ...fields,
+            ease: DEFAULT_EASE,
+            interval: 0,
+            repetitions: 0,
+            lapses: 0,
+            due: null,              // 新卡片没有复习日期
+            introducedOn: null,     // 第一次复习的日期，用于统计每天的新卡片数
+            reviewedAt: null,
+            createdAt: Date.now()
+        };
+    }
+
+    /**
+     * 添加卡片，已存在时不重复添加
+     * @param {Array<Object>} list - [{ type: 'char' | 'line', text, pinyin, bookId, bookTitle }]
+     * @returns {number} 新添加的卡片数
+     */
+    function addMany(list) {
+        const cards = loadAll();
+        let added = 0;
+        list.forEach(fields => {
+            if (find(cards, fields.type, fields.text, fields.bookId)) return;
+            cards.push(createCard(fields));
+            added++;
+        });
+        if (added > 0) saveAll(cards);
+        return added;
+    }
+
+    function add(fields) {
+        return addMany([fields]) > 0;
+    }
+
+    function remove(id) {
+        saveAll(loadAll().filter(c => c.id !== id));
+    }
+
+    /**
+     * 按 SM-2 计算评分后的新状态：忘记时从头开始（1 天后再复习），
+     * 记得时间隔依次为 1 天、6 天、上次间隔 × 难度系数；难度系数随评分调整
+     * @param {Object} card - 卡片
+     * @param {number} quality - 评分（GRADES 中的值）
+     * @returns {Object} 更新后的卡片
+     */
+    function schedule(card, quality) {
+        const next = { ...card };
+        if (quality < 3) {
+            next.repetitions = 0;
+            next.interval = 1;
+            if (card.reviewedAt) next.lapses = card.lapses + 1;
+        } else {
+            next.repetitions = card.repetitions + 1;
+            if (next.repetitions === 1) {
+                next.interval = 1;
+            } else if (next.repetitions === 2) {
+                next.interval = 6;
+            } else {
+                next.interval = Math.round(card.interval * card.ease);
+            }
+        }
+        next.ease = Math.max(MIN_EASE, card.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        next.due = dateKey(next.interval);
+        next.introducedOn = card.introducedOn || dateKey();
+        next.reviewedAt = Date.now();
+        return next;
+    }
+
+    // 记录一次评分并保存
+    function grade(id, quality) {
+        const cards = loadAll();
+        const index = cards.findIndex(c => c.id === id);
+        if (index === -1) return null;
+        cards[index] = schedule(cards[index], quality);
+        saveAll(cards);
+        return cards[index];
+    }
+
+    // 今天的复习内容：到期的卡片（最早到期的在前）和今天还可以开始学习的新卡片
+    function getSession() {
+        const cards = loadAll();
+        const today = dateKey();
+        const due = cards
+            .filter(c => c.due && c.due <= today)
+            .sort((a, b) => a.due.localeCompare(b.due));
+        const startedToday = cards.filter(c => c.introducedOn === today).length;
+        const fresh = cards
+            .filter(c => !c.due)
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .slice(0, Math.max(NEW_PER_DAY - startedToday, 0));
+        return { due, fresh };
+    }
+
+    function stats() {
+        const cards = loadAll();
+        const { due, fresh } = getSession();
+        return {
+            total: cards.length,
+            due: due.length,
+            fresh: fresh.length,
+            unseen: cards.filter(c => !c.due).length
+        };
+    }
+
+    // 书中所有正文行（带拼音）
+    function bookLines(book) {
+        return book.sections.flatMap(section => section.lines.filter(line => !line.type && line.pinyin));
+    }
+
+    /**
+     * 从书中按顺序挑选还没有卡片的字或句子生成卡片
+     * @param {string} bookId - 书籍 ID
+     * @param {string} type - 'char' 或 'line'
+     * @param {number} count - 最多添加的卡片数
+     * @returns {Promise<number>} 新添加的卡片数
+     */
+    async function addFromBook(bookId, type, count) {
+        const book = await dataLoader.loadBook(bookId);
+        const cards = loadAll();
+        const picked = [];
+        const seen = new Set();
+
+        for (const line of bookLines(book)) {
+            if (picked.length >= count) break;
+            if (type === 'line') {
+                if (!find(cards, 'line', line.text, bookId)) {
+                    picked.push({ type, text: line.text, pinyin: line.pinyin, bookId, bookTitle: book.title });
+                }
+                continue;
+            }
+
+            // 字卡保存该字在书中第一次出现时的读音
+            const readings = line.pinyin.split(/\s+/);
+            Array.from(line.text).filter(c => /\p{Script=Han}/u.test(c)).forEach((char, i) => {
+                if (picked.length >= count || seen.has(char) || find(cards, 'char', char)) return;
+                seen.add(char);
+                picked.push({ type, text: char, pinyin: readings[i] || '', bookId, bookTitle: book.title });
+            });
+        }
+
+        return addMany(picked);
+    }
+
+    /**
+     * 把书签中的段落做成句子卡片（拼音取自书籍数据中原文相同的行）
+     * @returns {Promise<number>} 新添加的卡片数
+     */
+    async function addFromBookmarks() {
+        const bookmarks = getStorage('bookmarks') || [];
+        const picked = [];
+
+        for (const bookId of new Set(bookmarks.map(b => b.bookId))) {
+            let lines = [];
+            try {
+                lines = bookLines(await dataLoader.loadBook(bookId));
+            } catch (error) {
+                console.error(`读取书籍 ${bookId} 失败:`, error);
+            }
+            bookmarks.filter(b => b.bookId === bookId).forEach(b => {
+                const line = lines.find(l => l.text === b.text);
+                picked.push({ type: 'line', text: b.text, pinyin: line ? line.pinyin : '', bookId, bookTitle: b.bookTitle });
+            });
+        }
+
+        return addMany(picked);
+    }
+
+    window.Flashcards = {
+        GRADES,
+        loadAll,
+        has,
+        add,
+        remove,
+        grade,
+        schedule,
+        getSession,
+        stats,
+        daysUntil,
+        addFromBook,
+        addFromBookmarks
+    };
+})();
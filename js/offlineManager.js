@@ -0,0 +1,104 @@
+// 离线阅读管理
+// 注册 Service Worker（sw.js），离线或正在显示缓存内容时在页面顶部显示离线提示，
+// 并提供可选的附加下载：把汉字字典保存到附加文件缓存，离线时也能点按查字（书籍正文由 Service Worker 预缓存）
+
+class OfflineManager {
+  constructor() {
+    this.indicator = null;
+  }
+
+  /**
+   * 浏览器是否支持离线缓存（Service Worker 和 Cache API，且页面通过 HTTP(S) 访问）
+   * @returns {boolean}
+   */
+  isSupported() {
+    return 'serviceWorker' in navigator && typeof caches !== 'undefined' && /^https?:$/.test(window.location.protocol);
+  }
+
+  /**
+   * 初始化：注册 Service Worker，监听网络状态和 Service Worker 的离线通知
+   */
+  init() {
+    window.addEventListener('online', () => this.showIndicator(false));
+    window.addEventListener('offline', () => this.showIndicator(true));
+    if (!navigator.onLine) {
+      this.showIndicator(true);
+    }
+
+    if (!this.isSupported()) return;
+
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (e.data && e.data.type === 'offline') {
+        this.showIndicator(true);
+      }
+    });
+    navigator.serviceWorker.register('./sw.js').catch(error => {
+      console.warn('注册 Service Worker 失败:', error);
+    });
+  }
+
+  /**
+   * 显示或隐藏离线提示
+   * @param {boolean} visible - 是否显示
+   */
+  showIndicator(visible) {
+    if (!this.indicator) {
+      if (!visible) return;
+      this.indicator = document.createElement('div');
+      this.indicator.className = 'offline-indicator';
+      this.indicator.setAttribute('role', 'status');
+      this.indicator.textContent = '📴 离线模式：正在显示已保存的内容';
+      document.body.prepend(this.indicator);
+    }
+    this.indicator.hidden = !visible;
+  }
+
+  /**
+   * 下载可选的离线附加文件（汉字字典，点按查字时使用）
+   * 书籍正文和阅读页由 Service Worker 预缓存，不需要下载
+   * @returns {Promise<void>}
+   */
+  async downloadExtras() {
+    if (!this.isSupported()) {
+      throw new Error('当前浏览器不支持离线缓存');
+    }
+
+    const cache = await caches.open(EXTRAS_CACHE);
+    // 绕过浏览器的 HTTP 缓存，保存最新版本
+    await cache.addAll(EXTRAS_URLS.map(url => new Request(url, { cache: 'reload' })));
+  }
+
+  /**
+   * 附加文件是否已全部下载
+   * @returns {Promise<boolean>}
+   */
+  async isExtrasDownloaded() {
+    if (!this.isSupported()) return false;
+    const cache = await caches.open(EXTRAS_CACHE);
+    const matches = await Promise.all(EXTRAS_URLS.map(url => cache.match(url)));
+    return matches.every(Boolean);
+  }
+
+  /**
+   * 删除已下载的附加文件
+   * @returns {Promise<void>}
+   */
+  async removeExtras() {
+    if (!this.isSupported()) return;
+    await caches.delete(EXTRAS_CACHE);
+  }
+}
+
+// 附加文件缓存名，与 sw.js 中的 EXTRAS_CACHE 一致
+const EXTRAS_CACHE = 'child-learn-extras';
+// 可选下载的附加文件：汉字字典（点按查字）
+const EXTRAS_URLS = ['./data/char-dictionary.json'];
+
+// 创建全局实例
+const offlineManager = new OfflineManager();
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => offlineManager.init());
+} else {
+  offlineManager.init();
+}
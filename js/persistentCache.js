@@ -0,0 +1,245 @@
+/**
+ * 持久化数据缓存
+ * 把加载过的 JSON 数据保存在 IndexedDB 中（不可用时改用 localStorage），各页面之间共用，
+ * 打开新页面时不必重新下载；按最近访问时间淘汰，总条数和总大小不超过上限
+ *
+ * 每条记录：{ key, url, version, data, size, storedAt, checkedAt, accessedAt }
+ * version 为数据文件的 version / lastUpdated，checkedAt 为最近一次与服务器核对的时间
+ */
+class PersistentCache {
+  constructor() {
+    // 容量上限（可由 config.json 的 performance 配置覆盖，见 DataLoader.applyCacheSettings）
+    this.maxEntries = 20;
+    this.maxSize = 1048576; // 1MB，按 JSON 文本的字符数计
+
+    // 存储后端，第一次使用时打开
+    this.backend = null;
+  }
+
+  /**
+   * 设置容量上限，超出时立即淘汰
+   * @param {Object} limits - { maxEntries, maxSize }，省略的项保持不变
+   * @returns {Promise<void>}
+   */
+  async setLimits({ maxEntries, maxSize } = {}) {
+    if (maxEntries > 0) this.maxEntries = maxEntries;
+    if (maxSize > 0) this.maxSize = maxSize;
+    await this.evict();
+  }
+
+  /**
+   * 读取一条记录，并记下访问时间
+   * @param {string} key - 缓存键名
+   * @returns {Promise<Object|null>} 记录，不存在或读取失败时返回 null
+   */
+  async get(key) {
+    try {
+      const backend = await this.open();
+      const record = await backend.get(key);
+      if (!record) return null;
+
+      record.accessedAt = Date.now();
+      backend.put(record).catch(() => {});
+      return record;
+    } catch (error) {
+      console.warn('读取持久化缓存失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 保存一条记录，保存后按容量上限淘汰
+   * @param {string} key - 缓存键名
+   * @param {Object} entry - { url, version, data }
+   * @returns {Promise<boolean>} 是否保存成功（单条超过总大小上限时不保存）
+   */
+  async set(key, { url, version, data }) {
+    const size = JSON.stringify(data).length;
+    if (size > this.maxSize) return false;
+
+    const now = Date.now();
+    const record = { key, url, version, data, size, storedAt: now, checkedAt: now, accessedAt: now };
+    try {
+      const backend = await this.open();
+      try {
+        await backend.put(record);
+      } catch (error) {
+        // 存储空间不足：淘汰其他记录后再试一次
+        await this.evict(size, key);
+        await backend.put(record);
+      }
+      await this.evict();
+      return true;
+    } catch (error) {
+      console.warn('保存持久化缓存失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 记下一条记录已与服务器核对（数据没有变化）
+   * @param {string} key - 缓存键名
+   * @returns {Promise<void>}
+   */
+  async touch(key) {
+    try {
+      const backend = await this.open();
+      const record = await backend.get(key);
+      if (record) {
+        record.checkedAt = Date.now();
+        await backend.put(record);
+      }
+    } catch (error) {
+      console.warn('更新持久化缓存失败:', error);
+    }
+  }
+
+  /**
+   * 删除一条记录
+   * @param {string} key - 缓存键名
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    try {
+      const backend = await this.open();
+      await backend.delete(key);
+    } catch (error) {
+      console.warn('删除持久化缓存失败:', error);
+    }
+  }
+
+  /**
+   * 清空全部记录
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    try {
+      const backend = await this.open();
+      await backend.clear();
+    } catch (error) {
+      console.warn('清空持久化缓存失败:', error);
+    }
+  }
+
+  /**
+   * 查看缓存占用情况
+   * @returns {Promise<Object>} { backend: 'indexedDB' | 'localStorage' | 'none', entries, size }
+   */
+  async usage() {
+    try {
+      const backend = await this.open();
+      const records = await backend.getAll();
+      return {
+        backend: backend.name,
+        entries: records.length,
+        size: records.reduce((sum, record) => sum + (record.size || 0), 0)
+      };
+    } catch (error) {
+      return { backend: 'none', entries: 0, size: 0 };
+    }
+  }
+
+  /**
+   * 按最近访问时间淘汰记录，直到条数和大小都不超过上限
+   * @param {number} reserve - 额外预留的大小（准备写入的记录），默认 0
+   * @param {string} keep - 不淘汰的键名（准备写入的记录），可选
+   * @returns {Promise<void>}
+   */
+  async evict(reserve = 0, keep = null) {
+    try {
+      const backend = await this.open();
+      const records = (await backend.getAll())
+        .filter(record => record.key !== keep)
+        .sort((a, b) => a.accessedAt - b.accessedAt);
+      let entries = records.length + (keep ? 1 : 0);
+      let size = records.reduce((sum, record) => sum + (record.size || 0), 0) + reserve;
+
+      for (const record of records) {
+        if (entries <= this.maxEntries && size <= this.maxSize) break;
+        await backend.delete(record.key);
+        entries--;
+        size -= record.size || 0;
+      }
+    } catch (error) {
+      console.warn('淘汰持久化缓存失败:', error);
+    }
+  }
+
+  /**
+   * 打开存储后端：优先 IndexedDB，打不开时（如部分浏览器的隐私模式）改用 localStorage
+   * @returns {Promise<Object>} 后端 { name, get, getAll, put, delete, clear }
+   */
+  open() {
+    if (!this.backend) {
+      this.backend = openIndexedDB()
+        .catch(error => {
+          console.warn('IndexedDB 不可用，改用 localStorage 缓存数据:', error);
+          return openLocalStorage();
+        });
+    }
+    return this.backend;
+  }
+}
+
+// IndexedDB 数据库名、版本和对象仓库名
+const CACHE_DB_NAME = 'child-learn-data';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE = 'files';
+// localStorage 后端的键名前缀
+const CACHE_STORAGE_PREFIX = 'dataCache:';
+
+// 把 IndexedDB 请求包装为 Promise
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openIndexedDB() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('浏览器不支持 IndexedDB'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(CACHE_STORE)) {
+        request.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB 被其他页面占用'));
+  }).then(db => {
+    const store = mode => db.transaction(CACHE_STORE, mode).objectStore(CACHE_STORE);
+    return {
+      name: 'indexedDB',
+      get: key => promisifyRequest(store('readonly').get(key)).then(record => record || null),
+      getAll: () => promisifyRequest(store('readonly').getAll()),
+      put: record => promisifyRequest(store('readwrite').put(record)),
+      delete: key => promisifyRequest(store('readwrite').delete(key)),
+      clear: () => promisifyRequest(store('readwrite').clear())
+    };
+  });
+}
+
+function openLocalStorage() {
+  const keys = () => Object.keys(localStorage).filter(key => key.startsWith(CACHE_STORAGE_PREFIX));
+  const read = storageKey => {
+    try {
+      return JSON.parse(localStorage.getItem(storageKey));
+    } catch (e) {
+      return null;
+    }
+  };
+
+  return Promise.resolve({
+    name: 'localStorage',
+    get: async key => read(CACHE_STORAGE_PREFIX + key),
+    getAll: async () => keys().map(read).filter(Boolean),
+    put: async record => localStorage.setItem(CACHE_STORAGE_PREFIX + record.key, JSON.stringify(record)),
+    delete: async key => localStorage.removeItem(CACHE_STORAGE_PREFIX + key),
+    clear: async () => keys().forEach(key => localStorage.removeItem(key))
+  });
+}
@@ -0,0 +1,128 @@
+// 拼音显示模块
+// 提供拼音显示模式切换（汉字+拼音、仅汉字、仅拼音、点按显示拼音）和按声调着色，设置保存在本地存储中，所有书籍通用
+
+(function () {
+    const STORAGE_KEY = 'pinyinDisplay';
+
+    const MODES = [
+        { id: 'both', label: '汉字+拼音' },
+        { id: 'hanzi', label: '仅汉字' },
+        { id: 'pinyin', label: '仅拼音' },
+        { id: 'reveal', label: '点按显示' }
+    ];
+
+    // 带声调符号的元音 → 声调序号
+    const TONE_MARKS = {
+        'ā': 1, 'ē': 1, 'ī': 1, 'ō': 1, 'ū': 1, 'ǖ': 1,
+        'á': 2, 'é': 2, 'í': 2, 'ó': 2, 'ú': 2, 'ǘ': 2, 'ń': 2,
+        'ǎ': 3, 'ě': 3, 'ǐ': 3, 'ǒ': 3, 'ǔ': 3, 'ǚ': 3, 'ň': 3,
+        'à': 4, 'è': 4, 'ì': 4, 'ò': 4, 'ù': 4, 'ǜ': 4, 'ǹ': 4
+    };
+
+    let settings = { mode: 'both', toneColors: false };
+    let switcher = null;
+
+    // 识别拼音的声调，支持声调符号和数字标调（如 ma3），轻声返回 0
+    function getTone(pinyin) {
+        const text = pinyin.trim().toLowerCase();
+        const digit = text.match(/([1-5])$/);
+        if (digit) return digit[1] === '5' ? 0 : parseInt(digit[1]);
+        for (const ch of text.normalize('NFC')) {
+            if (TONE_MARKS[ch]) return TONE_MARKS[ch];
+        }
+        return 0;
+    }
+
+    // 为每个 <rt> 标记声调类名
+    function markTones() {
+        document.querySelectorAll('.book-text rt').forEach(rt => {
+            rt.classList.add('tone-' + getTone(rt.textContent));
+        });
+    }
+
+    function loadSettings() {
+        const saved = getStorage(STORAGE_KEY);
+        if (saved && MODES.some(m => m.id === saved.mode)) {
+            settings = { mode: saved.mode, toneColors: !!saved.toneColors };
+        }
+    }
+
+    // 应用当前设置到页面
+    function applySettings() {
+        MODES.forEach(m => {
+            document.body.classList.toggle('pinyin-mode-' + m.id, settings.mode === m.id);
+        });
+        document.body.classList.toggle('pinyin-tone-colors', settings.toneColors);
+
+        if (settings.mode !== 'reveal') {
+            document.querySelectorAll('.pinyin-revealed').forEach(el => {
+                el.classList.remove('pinyin-revealed');
+            });
+        }
+
+        if (switcher) {
+            switcher.querySelectorAll('.pinyin-mode-btn').forEach(btn => {
+                const active = btn.dataset.mode === settings.mode;
+                btn.classList.toggle('active', active);
+                btn.setAttribute('aria-pressed', active);
+            });
+            switcher.querySelector('.tone-color-toggle').checked = settings.toneColors;
+        }
+    }
+
+    function updateSettings(changes) {
+        settings = { ...settings, ...changes };
+        setStorage(STORAGE_KEY, settings);
+        applySettings();
+    }
+
+    // 创建显示模式切换栏，插入到书名下方
+    function createSwitcher() {
+        const title = document.querySelector('.book-title');
+        if (!title) return;
+
+        switcher = document.createElement('div');
+        switcher.className = 'pinyin-switcher';
+        switcher.setAttribute('role', 'group');
+        switcher.setAttribute('aria-label', '拼音显示方式');
+        switcher.innerHTML = `
+            ${MODES.map(m => `<button class="pinyin-mode-btn" data-mode="${m.id}" aria-pressed="false">${m.label}</button>`).join('')}
+            <label class="tone-color-label">
+                <input type="checkbox" class="tone-color-toggle"> 声调着色
+            </label>
+        `;
+
+        switcher.querySelectorAll('.pinyin-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => updateSettings({ mode: btn.dataset.mode }));
+        });
+        switcher.querySelector('.tone-color-toggle').addEventListener('change', (e) => {
+            updateSettings({ toneColors: e.target.checked });
+        });
+
+        // 阅读页没有导航栏，简繁切换按钮放在显示方式栏中
+        if (typeof chineseConverter !== 'undefined') {
+            switcher.appendChild(chineseConverter.createToggle());
+        }
+
+        title.insertAdjacentElement('afterend', switcher);
+    }
+
+    // 点按显示模式：触屏设备上第一次点按只显示拼音，再次点按才交给朗读模块
+    function handleRevealTap(e) {
+        if (settings.mode !== 'reveal') return;
+        if (window.matchMedia('(hover: hover)').matches) return;
+
+        const ruby = e.target.closest('.book-text ruby');
+        if (!ruby || ruby.classList.contains('pinyin-revealed')) return;
+
+        ruby.classList.add('pinyin-revealed');
+        e.stopPropagation();
+    }
+
+    // 初始化
+    loadSettings();
+    markTones();
+    createSwitcher();
+    applySettings();
+    document.addEventListener('click', handleRevealTap, true);
+})();
@@ -0,0 +1,209 @@
+// 小测验模块
+// 把书中的正文按标点切成短句，生成"接下一句"、"填字"和"选读音"三种选择题（干扰项取自同一本书），
+// 并按书籍 ID 在本地存储中记录每次测验的成绩和错题
+
+(function () {
+    const STORAGE_KEY = 'quizResults';
+    const MAX_RESULTS = 20;     // 每本书保留的最近成绩数
+    const OPTION_COUNT = 4;     // 每题选项数
+
+    const TYPES = {
+        next: '接下一句',
+        missing: '填字',
+        pinyin: '选读音'
+    };
+
+    function shuffle(list) {
+        const result = [...list];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    // 按优先级分组的候选项中依次挑选干扰项（同一组内随机），不足时返回较少的选项
+    function pickDistractors(tiers, exclude, count = OPTION_COUNT - 1) {
+        const picked = [];
+        const seen = new Set(exclude);
+        tiers.forEach(tier => {
+            shuffle(tier).forEach(item => {
+                if (picked.length >= count || seen.has(item)) return;
+                seen.add(item);
+                picked.push(item);
+            });
+        });
+        return picked;
+    }
+
+    // 正确答案和干扰项随机排列
+    function buildOptions(answer, distractors) {
+        const options = shuffle([answer, ...distractors]);
+        return { options, answer: options.indexOf(answer) };
+    }
+
+    // 去掉声调，用于查找同音不同调的读音（ü 保留）
+    function toneless(reading) {
+        return reading.replace(/ü/g, 'v').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/v/g, 'ü');
+    }
+
+    /**
+     * 把书籍正文切分为短句（按章节分组，标点处断开）
+     * @param {Object} book - 书籍数据
+     * @returns {Array<Array<Object>>} 每章的短句列表 [{ text, chars, readings }]
+     */
+    function splitPhrases(book) {
+        return book.sections.map(section => {
+            const phrases = [];
+            section.lines.filter(line => !line.type && line.pinyin).forEach(line => {
+                const readings = line.pinyin.split(/\s+/);
+                let offset = 0;
+                line.text.split(/[^\p{Script=Han}]+/u).forEach(text => {
+                    const chars = Array.from(text);
+                    if (chars.length === 0) return;
+                    phrases.push({ text, chars, readings: readings.slice(offset, offset + chars.length) });
+                    offset += chars.length;
+                });
+            });
+            return phrases;
+        });
+    }
+
+    /**
+     * 为一本书生成题目
+     * @param {Object} book - 书籍数据
+     * @param {Object} options - { type: 'next' | 'missing' | 'pinyin' | 'mixed', count }
+     * @returns {Array<Object>} 题目 [{ type, phrase, context, position, options, answer }]，
+     *   position 为填字题挖空或读音题标出的字在短句中的位置，answer 为正确选项的序号
+     */
+    function generate(book, { type = 'mixed', count = 10 } = {}) {
+        const sections = splitPhrases(book);
+        const phrases = sections.flat();
+        const phraseTexts = new Set(phrases.map(p => p.text));
+
+        // 全书的字 → 读音和全部读音
+        const charReadings = new Map();
+        const allReadings = new Set();
+        phrases.forEach(p => p.chars.forEach((char, i) => {
+            if (!charReadings.has(char)) charReadings.set(char, new Set());
+            charReadings.get(char).add(p.readings[i]);
+            allReadings.add(p.readings[i]);
+        }));
+
+        // 短句 → 书中紧跟在它后面的短句（同一短句后面接不同的句子时无法出"接下一句"题）
+        const followers = new Map();
+        sections.forEach(section => section.slice(0, -1).forEach((p, i) => {
+            if (!followers.has(p.text)) followers.set(p.text, new Set());
+            followers.get(p.text).add(section[i + 1].text);
+        }));
+
+        // 接下一句：干扰项优先取字数相同的短句
+        function nextQuestion(section, index) {
+            const prompt = section[index];
+            const answer = section[index + 1];
+            if (prompt.chars.length < 2 || followers.get(prompt.text).size > 1) return null;
+            const length = answer.chars.length;
+            const distractors = pickDistractors([
+                phrases.filter(p => p.chars.length === length).map(p => p.text),
+                phrases.filter(p => Math.abs(p.chars.length - length) === 1).map(p => p.text),
+                phrases.map(p => p.text)
+            ], [answer.text, prompt.text]);
+            return { type: 'next', phrase: prompt.text, context: null, position: null, ...buildOptions(answer.text, distractors) };
+        }
+
+        // 填字：干扰项优先取同样字数的短句中同一位置的字，并排除填进去也能组成书中原句的字
+        function missingQuestion(section, index) {
+            const phrase = section[index];
+            const position = Math.floor(Math.random() * phrase.chars.length);
+            const answer = phrase.chars[position];
+            const fits = char => {
+                const chars = [...phrase.chars];
+                chars[position] = char;
+                return phraseTexts.has(chars.join(''));
+            };
+            const sameSlot = phrases.filter(p => p.chars.length === phrase.chars.length).map(p => p.chars[position]);
+            const distractors = pickDistractors([
+                sameSlot.filter(c => !fits(c)),
+                Array.from(charReadings.keys()).filter(c => !fits(c))
+            ], [answer]);
+            return {
+                type: 'missing',
+                phrase: phrase.text,
+                context: index > 0 ? section[index - 1].text : null,
+                position,
+                ...buildOptions(answer, distractors)
+            };
+        }
+
+        // 选读音：干扰项依次取这个字在书中的其它读音、同音不同调的读音、其它读音
+        function pinyinQuestion(section, index) {
+            const phrase = section[index];
+            const position = Math.floor(Math.random() * phrase.chars.length);
+            const answer = phrase.readings[position];
+            const base = toneless(answer);
+            const pool = Array.from(allReadings);
+            const distractors = pickDistractors([
+                Array.from(charReadings.get(phrase.chars[position])),
+                pool.filter(r => toneless(r) === base),
+                pool.filter(r => r[0] === answer[0]),
+                pool
+            ], [answer]);
+            return {
+                type: 'pinyin',
+                phrase: phrase.text,
+                context: null,
+                position,
+                ...buildOptions(answer, distractors)
+            };
+        }
+
+        const builders = { next: nextQuestion, missing: missingQuestion, pinyin: pinyinQuestion };
+        const types = type === 'mixed' ? Object.keys(TYPES) : [type];
+
+        // 每种题型可用的短句（接下一句需要同一章中有下一句），不重复出题
+        const slots = {
+            next: shuffle(sections.flatMap((s, si) => s.slice(0, -1).map((p, i) => [si, i]))),
+            missing: shuffle(sections.flatMap((s, si) => s.map((p, i) => [si, i]).filter(([, i]) => s[i].chars.length >= 2))),
+            pinyin: shuffle(sections.flatMap((s, si) => s.map((p, i) => [si, i])))
+        };
+
+        const questions = [];
+        for (let i = 0; questions.length < count; i++) {
+            const available = types.filter(t => slots[t].length > 0);
+            if (available.length === 0) break;
+            const t = available[i % available.length];
+            const [si, index] = slots[t].pop();
+            const question = builders[t](sections[si], index);
+            if (question && question.options.length >= 2) questions.push(question);
+        }
+        return questions;
+    }
+
+    // 全部书籍的成绩：{ 书籍ID: [成绩…] }，最近的在前
+    function loadAll() {
+        return getStorage(STORAGE_KEY) || {};
+    }
+
+    function getResults(bookId) {
+        return loadAll()[bookId] || [];
+    }
+
+    /**
+     * 记录一次测验成绩
+     * @param {string} bookId - 书籍 ID
+     * @param {Object} result - { type, score, total, mistakes: [{ type, phrase, context, position, answer, chosen }] }
+     */
+    function saveResult(bookId, result) {
+        const all = loadAll();
+        all[bookId] = [{ ...result, finishedAt: Date.now() }, ...(all[bookId] || [])].slice(0, MAX_RESULTS);
+        setStorage(STORAGE_KEY, all);
+    }
+
+    function clearResults(bookId) {
+        const all = loadAll();
+        delete all[bookId];
+        setStorage(STORAGE_KEY, all);
+    }
+
+    window.Quiz = { TYPES, splitPhrases, generate, getResults, saveResult, clearResults };
+})();
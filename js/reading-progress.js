@@ -0,0 +1,107 @@
+// 阅读进度模块
+// 按书籍 ID 在本地存储中记录上次阅读的页码、段落和朗读语速，再次打开时提示"继续阅读"
+// 只在真正阅读时记录：翻页、朗读，或滚动后在同一位置停留一段时间；只是打开书随手滚动不会加入首页的继续阅读书架
+
+(function () {
+    const STORAGE_KEY = 'readingProgress';
+    const DWELL_TIME = 10000;   // 滚动停下后停留多久才记录位置（毫秒）
+
+    // 从返回链接中读取书籍 ID（如 ../detail.html?id=book-001）
+    function getBookId() {
+        const link = document.querySelector('.back-button');
+        return link ? parseQueryString(link.getAttribute('href')).id || null : null;
+    }
+
+    const bookId = getBookId();
+
+    function loadAll() {
+        return getStorage(STORAGE_KEY) || {};
+    }
+
+    // 读取当前书籍的进度
+    function get() {
+        return bookId ? loadAll()[bookId] || null : null;
+    }
+
+    // 合并保存当前书籍的进度
+    function save(changes) {
+        if (!bookId) return;
+        const all = loadAll();
+        all[bookId] = { page: 1, paragraph: 0, ...all[bookId], ...changes, updatedAt: Date.now() };
+        setStorage(STORAGE_KEY, all);
+    }
+
+    // 记录当前页中第一个可见的段落；还没有进度时停在书的开头不记录
+    function saveVisiblePosition() {
+        if (!window.BookReader || !window.BookPager) return;
+        const paragraphs = BookReader.collectParagraphs();
+        const paragraph = Math.max(paragraphs.findIndex(p => p.getBoundingClientRect().bottom > 0), 0);
+        const page = BookPager.getCurrentPage();
+        if (!get() && page <= 1 && paragraph <= 0) return;
+        save({ page, paragraph });
+    }
+
+    // 跳转到记录的位置，并标记为下次朗读的起点
+    function resume(progress) {
+        if (!window.BookReader) return;
+        BookPager.goTo(progress.page);
+        // 翻页时 bookpager:change 记为新一页的开头，这里恢复为记录的段落
+        save({ page: progress.page, paragraph: progress.paragraph });
+        const paragraph = BookReader.collectParagraphs()[progress.paragraph];
+        if (!paragraph) return;
+
+        document.querySelectorAll('.reading-resume').forEach(el => el.classList.remove('reading-resume'));
+        paragraph.classList.add('reading-resume');
+        paragraph.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    // 在书名下方显示继续阅读提示
+    function showResumeBanner() {
+        const progress = get();
+        const title = document.querySelector('.book-title');
+        if (!progress || !title || !window.BookPager) return;
+        if (progress.page <= 1 && progress.paragraph <= 0) return;
+        // 通过深链接（#page=N）、搜索结果（?line=N）或书签（?bookmark=ID）打开时以链接指定的位置为准
+        const query = parseQueryString(window.location.href);
+        if (/(^#|&)page=/.test(window.location.hash) || query.line || query.bookmark) return;
+
+        const hasPages = BookPager.getTotalPages() > 1;
+        const position = hasPages
+            ? `第 ${progress.page} 页第 ${progress.paragraph + 1} 段`
+            : `第 ${progress.paragraph + 1} 段`;
+
+        const banner = document.createElement('div');
+        banner.className = 'resume-banner';
+        banner.setAttribute('role', 'status');
+        banner.innerHTML = `
+            <span>上次读到${position}（${formatDate(progress.updatedAt, 'relative')}）</span>
+            <button class="resume-continue">继续阅读</button>
+            <button class="resume-dismiss">从头开始</button>
+        `;
+
+        banner.querySelector('.resume-continue').addEventListener('click', () => {
+            banner.remove();
+            resume(progress);
+        });
+        banner.querySelector('.resume-dismiss').addEventListener('click', () => {
+            banner.remove();
+            save({ page: 1, paragraph: 0 });
+        });
+
+        title.insertAdjacentElement('afterend', banner);
+    }
+
+    window.ReadingProgress = { getBookId, get, save };
+
+    // 初始化（BookReader 在本模块之后加载，只在用户操作时使用）
+    showResumeBanner();
+    window.addEventListener('scroll', debounce(saveVisiblePosition, DWELL_TIME), { passive: true });
+    // 翻页后从新一页的开头读起（朗读时由 BookReader 记录正在朗读的段落）
+    document.addEventListener('bookpager:change', event => {
+        save({ page: event.detail.page, paragraph: 0 });
+    });
+    // 离开页面时只更新已在书架上的书
+    window.addEventListener('pagehide', () => {
+        if (get()) saveVisiblePosition();
+    });
+})();
@@ -0,0 +1,265 @@
+// 背诵练习模块
+// 按难度逐级遮盖正文中的字（每隔 N 字、句末字、后半句），点按可偷看，逐段自评并汇总需要加强的句子
+
+(function () {
+    if (!window.BookReader || !window.BookPager) return;
+
+    const { extractText, mapRubyOffsets, collectParagraphs } = window.BookReader;
+
+    // 难度从低到高排列，"加大难度"按此顺序推进
+    const LEVELS = [
+        { id: 'nth-4', label: '每 4 字遮 1 字', type: 'nth', n: 4 },
+        { id: 'nth-3', label: '每 3 字遮 1 字', type: 'nth', n: 3 },
+        { id: 'nth-2', label: '每 2 字遮 1 字', type: 'nth', n: 2 },
+        { id: 'phrase-end', label: '遮句末字', type: 'phrase-end' },
+        { id: 'half-line', label: '遮后半句', type: 'half-line' }
+    ];
+
+    // 句内停顿与句末标点
+    const PHRASE_BREAK = /[，、：,:]/;
+    const SENTENCE_END = /[。！？；.!?;]/;
+
+    let active = false;
+    let level = 0;
+    let lines = [];          // { paragraph, gradeEl, grade: 'pass' | 'again' | null, peeks }
+    let bar = null;
+    let summary = null;
+
+    // 把段落拆分为句子 → 短语 → 字，标点作为分隔不参与遮盖
+    function splitSentences(paragraph) {
+        const text = extractText(paragraph);
+        const spans = mapRubyOffsets(paragraph);
+        const sentences = [];
+        let sentence = [];
+        let phrase = [];
+        let last = 0;
+
+        const closePhrase = () => {
+            if (phrase.length > 0) sentence.push(phrase);
+            phrase = [];
+        };
+        const closeSentence = () => {
+            closePhrase();
+            if (sentence.length > 0) sentences.push(sentence);
+            sentence = [];
+        };
+
+        spans.forEach(span => {
+            const gap = text.slice(last, span.start);
+            if (SENTENCE_END.test(gap)) {
+                closeSentence();
+            } else if (PHRASE_BREAK.test(gap)) {
+                closePhrase();
+            }
+            phrase.push(span.el);
+            last = span.end;
+        });
+        closeSentence();
+        return sentences;
+    }
+
+    // 按难度计算需要遮盖的字
+    function pickMasked(paragraph, levelDef) {
+        const sentences = splitSentences(paragraph);
+
+        if (levelDef.type === 'nth') {
+            const rubies = sentences.flat(2);
+            return rubies.filter((_, i) => (i + 1) % levelDef.n === 0);
+        }
+
+        if (levelDef.type === 'phrase-end') {
+            return sentences.flat().map(phrase => phrase[phrase.length - 1]);
+        }
+
+        // 后半句：遮盖每句后一半的短语；整句只有一个短语时遮盖后一半的字
+        return sentences.flatMap(sentence => {
+            if (sentence.length === 1) {
+                const rubies = sentence[0];
+                return rubies.slice(Math.floor(rubies.length / 2));
+            }
+            return sentence.slice(Math.ceil(sentence.length / 2)).flat();
+        });
+    }
+
+    function clearMasks() {
+        document.querySelectorAll('.recite-mask, .recite-peeked').forEach(el => {
+            el.classList.remove('recite-mask', 'recite-peeked');
+        });
+    }
+
+    // 按当前难度重新遮盖全书
+    function applyMasks() {
+        clearMasks();
+        const levelDef = LEVELS[level];
+        lines.forEach(line => {
+            line.peeks = 0;
+            pickMasked(line.paragraph, levelDef).forEach(ruby => ruby.classList.add('recite-mask'));
+        });
+        updateBar();
+    }
+
+    // 为每一段创建自评按钮（放在段落之后，避免被朗读模块读出）
+    function createGradeButtons(line) {
+        const grade = document.createElement('div');
+        grade.className = 'recite-grade';
+        grade.innerHTML = `
+            <button class="recite-pass" aria-pressed="false">✓ 会背了</button>
+            <button class="recite-again" aria-pressed="false">✗ 再练练</button>
+        `;
+        grade.querySelector('.recite-pass').addEventListener('click', () => setGrade(line, 'pass'));
+        grade.querySelector('.recite-again').addEventListener('click', () => setGrade(line, 'again'));
+        line.paragraph.insertAdjacentElement('afterend', grade);
+        line.gradeEl = grade;
+    }
+
+    function setGrade(line, grade) {
+        line.grade = line.grade === grade ? null : grade;
+        line.gradeEl.querySelector('.recite-pass').setAttribute('aria-pressed', line.grade === 'pass');
+        line.gradeEl.querySelector('.recite-again').setAttribute('aria-pressed', line.grade === 'again');
+        line.paragraph.classList.toggle('recite-passed', line.grade === 'pass');
+        line.paragraph.classList.toggle('recite-failed', line.grade === 'again');
+        renderSummary();
+    }
+
+    // 取段落所在页码（未分页的书返回 null）
+    function getPageNumber(paragraph) {
+        return BookPager.getTotalPages() > 1 ? BookPager.pageOf(paragraph) : null;
+    }
+
+    // 跳转到某一段：必要时先翻页
+    function goToLine(line) {
+        const page = getPageNumber(line.paragraph);
+        if (page) BookPager.goTo(page);
+        line.paragraph.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    // 汇总：已掌握、需加强、未自评的句子
+    function renderSummary() {
+        if (!summary) return;
+
+        const passed = lines.filter(l => l.grade === 'pass').length;
+        const again = lines.filter(l => l.grade === 'again' || (l.grade === null && l.peeks > 0));
+        const ungraded = lines.filter(l => l.grade === null).length;
+
+        summary.innerHTML = `
+            <p class="recite-stats">
+                共 ${lines.length} 段：已掌握 <strong>${passed}</strong>，
+                需加强 <strong>${again.length}</strong>，未自评 <strong>${ungraded}</strong>
+            </p>
+            ${again.length > 0 ? `
+                <ul class="recite-weak-list">
+                    ${again.map(l => {
+                        const page = getPageNumber(l.paragraph);
+                        const preview = escapeHtml(extractText(l.paragraph).trim().slice(0, 12));
+                        return `<li><button data-index="${lines.indexOf(l)}">${page ? `第 ${page} 页 · ` : ''}${preview}…</button></li>`;
+                    }).join('')}
+                </ul>
+            ` : ''}
+        `;
+
+        summary.querySelectorAll('.recite-weak-list button').forEach(btn => {
+            btn.addEventListener('click', () => goToLine(lines[parseInt(btn.dataset.index)]));
+        });
+    }
+
+    function updateBar() {
+        bar.querySelector('.recite-toggle').textContent = active ? '退出背诵' : '📝 背诵练习';
+        bar.querySelector('.recite-toggle').setAttribute('aria-pressed', active);
+        bar.querySelector('.recite-options').style.display = active ? '' : 'none';
+        bar.querySelector('.recite-level').value = LEVELS[level].id;
+        bar.querySelector('.recite-harder').disabled = level >= LEVELS.length - 1;
+    }
+
+    function enter() {
+        active = true;
+        document.body.classList.add('recitation-mode');
+        lines = collectParagraphs('all')
+            .filter(p => p.querySelector('ruby'))
+            .map(paragraph => ({ paragraph, grade: null, peeks: 0 }));
+        lines.forEach(createGradeButtons);
+        applyMasks();
+        renderSummary();
+        summary.style.display = '';
+    }
+
+    function exit() {
+        active = false;
+        document.body.classList.remove('recitation-mode');
+        clearMasks();
+        lines.forEach(line => {
+            line.gradeEl.remove();
+            line.paragraph.classList.remove('recite-passed', 'recite-failed');
+        });
+        lines = [];
+        summary.style.display = 'none';
+        updateBar();
+    }
+
+    // 点按被遮盖的字：显示该字并记为偷看，不触发朗读
+    function handleMaskTap(e) {
+        if (!active) return;
+        const ruby = e.target.closest('.book-text ruby.recite-mask');
+        if (!ruby) return;
+
+        e.stopPropagation();
+        ruby.classList.remove('recite-mask');
+        ruby.classList.add('recite-peeked');
+
+        const line = lines.find(l => l.paragraph.contains(ruby));
+        if (line) {
+            line.peeks++;
+            renderSummary();
+        }
+    }
+
+    // 创建背诵工具栏和汇总面板
+    function createBar() {
+        const anchor = document.querySelector('.pinyin-switcher') || document.querySelector('.book-title');
+        if (!anchor) return;
+
+        bar = document.createElement('div');
+        bar.className = 'recitation-bar';
+        bar.innerHTML = `
+            <button class="recite-toggle" aria-pressed="false">📝 背诵练习</button>
+            <span class="recite-options" style="display:none">
+                <label>难度
+                    <select class="recite-level">
+                        ${LEVELS.map(l => `<option value="${l.id}">${l.label}</option>`).join('')}
+                    </select>
+                </label>
+                <button class="recite-harder">加大难度 ▲</button>
+                <button class="recite-reset">重新遮盖</button>
+            </span>
+        `;
+
+        summary = document.createElement('div');
+        summary.className = 'recitation-summary';
+        summary.setAttribute('aria-live', 'polite');
+        summary.style.display = 'none';
+
+        bar.querySelector('.recite-toggle').addEventListener('click', () => {
+            active ? exit() : enter();
+        });
+        bar.querySelector('.recite-level').addEventListener('change', (e) => {
+            level = LEVELS.findIndex(l => l.id === e.target.value);
+            applyMasks();
+            renderSummary();
+        });
+        bar.querySelector('.recite-harder').addEventListener('click', () => {
+            level = Math.min(level + 1, LEVELS.length - 1);
+            applyMasks();
+            renderSummary();
+        });
+        bar.querySelector('.recite-reset').addEventListener('click', () => {
+            applyMasks();
+            renderSummary();
+        });
+
+        anchor.insertAdjacentElement('afterend', bar);
+        bar.insertAdjacentElement('afterend', summary);
+    }
+
+    // 初始化
+    createBar();
+    document.addEventListener('click', handleMaskTap, true);
+})();
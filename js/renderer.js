@@ -146,6 +146,14 @@ class Renderer {
     if (links.read) {
       html += `<a href="${this.escapeHtml(links.read)}" class="btn" target="_blank" rel="noopener noreferrer" aria-label="在新窗口打开阅读链接">开始阅读</a>`;
     }
+    // 站内阅读页的书籍可以做小测验和打印字帖
+    const bookMatch = links.read && links.read.match(/reader\.html\?id=([\w-]+)/);
+    if (bookMatch) {
+      html += `<a href="./quiz.html?id=${encodeURIComponent(bookMatch[1])}" class="btn">小测验</a>`;
+      html += `<a href="./copybook.html?id=${encodeURIComponent(bookMatch[1])}" class="btn">打印字帖</a>`;
+      // 离线阅读状态和汉字字典下载按钮，由详情页根据浏览器支持情况和下载状态启用
+      html += '<div class="offline-download" hidden></div>';
+    }
     if (links.watch) {
       html += `<a href="${this.escapeHtml(links.watch)}" class="btn" target="_blank" rel="noopener noreferrer" aria-label="在新窗口打开观看链接">开始观看</a>`;
     }
@@ -164,6 +172,74 @@ class Renderer {
     return `<span class="age-rating age-${ratingClass}" aria-label="适合年龄 ${this.escapeHtml(rating)}">${this.escapeHtml(rating)}</span>`;
   }
 
+  /**
+   * 渲染书籍阅读页：返回按钮、书名和逐字注音的正文
+   * @param {HTMLElement} container - 目标容器元素（.book-content）
+   * @param {Object} book - 书籍数据（见 DataLoader.loadBook）
+   */
+  renderBook(container, book) {
+    if (!container) {
+      console.error('Renderer: 容器元素不存在');
+      return;
+    }
+
+    const backLink = `<a href="./detail.html?id=${encodeURIComponent(book.id)}" class="back-button">← 返回</a>`;
+    const pagination = book.pagination
+      ? ` data-paginate="${this.escapeHtml(book.pagination.mode)}"${book.pagination.pageSize ? ` data-page-size="${parseInt(book.pagination.pageSize)}"` : ''}`
+      : '';
+
+    const sections = book.sections.map(section => {
+      const heading = section.title
+        ? (section.style === 'poem'
+          ? `<h3 class="poem-title">${this.escapeHtml(section.title)}</h3>`
+          : `<h2 class="section-title">${this.escapeHtml(section.title)}</h2>`)
+        : '';
+      return heading + section.lines.map(line => this.renderBookLine(line)).join('');
+    }).join('');
+
+    container.innerHTML = `
+      ${backLink}
+      <h1 class="book-title">${this.escapeHtml(book.title)}</h1>
+      <div class="book-text"${pagination}>${sections}</div>
+      ${backLink}
+    `;
+  }
+
+  /**
+   * 渲染书籍中的一行：正文逐字加 <ruby> 注音，说明和结尾提示按类型渲染
+   * @param {Object} line - { text, pinyin } 或 { type: 'note' | 'end', text, subtitle? }
+   * @returns {string} HTML 字符串
+   */
+  renderBookLine(line) {
+    if (line.type === 'note') {
+      return `<p class="book-note">${this.escapeHtml(line.text)}</p>`;
+    }
+    if (line.type === 'end') {
+      return `
+        <p class="book-end">
+          <strong>${this.escapeHtml(line.text)}</strong>
+          ${line.subtitle ? `<br><span>${this.escapeHtml(line.subtitle)}</span>` : ''}
+        </p>
+      `;
+    }
+
+    // 拼音按空格分隔，依次对应文本中的汉字，标点不注音
+    const readings = (line.pinyin || '').split(/\s+/).filter(Boolean);
+    let index = 0;
+    const html = Array.from(line.text).map(char => {
+      if (!/\p{Script=Han}/u.test(char)) return this.escapeHtml(char);
+      const reading = readings[index++];
+      return reading
+        ? `<ruby>${char}<rt>${this.escapeHtml(reading)}</rt></ruby>`
+        : this.escapeHtml(char);
+    }).join('');
+
+    if (index !== readings.length) {
+      console.warn('Renderer: 拼音数量与汉字数量不一致', line.text);
+    }
+    return `<p>${html}</p>`;
+  }
+
   /**
    * 渲染加载状态
    * @param {HTMLElement} container - 目标容器元素
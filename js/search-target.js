@@ -0,0 +1,39 @@
+// 搜索定位模块
+// 从搜索结果打开阅读页时（?line=句序&q=关键词），翻到该句所在的页，滚动到该句并高亮命中的字
+
+(function () {
+    if (!window.BookPager) return;
+
+    const query = parseQueryString(window.location.href);
+    const line = parseInt(query.line);
+    if (!(line >= 1)) return;
+
+    // 句序与 SearchEngine.setBooks 一致：带注音的正文段落，从 1 开始
+    const paragraphs = Array.from(document.querySelectorAll('.book-text p')).filter(p => p.querySelector('ruby'));
+    const target = paragraphs[line - 1];
+    if (!target) return;
+
+    // 关键词中的汉字依次对应段落中的 <ruby>（忽略标点和空格）
+    function highlight(keyword) {
+        const rubies = Array.from(target.querySelectorAll('ruby'));
+        // 繁体显示时按简体原文比较
+        const chars = rubies.map(ruby => {
+            if (!ruby.firstChild) return '';
+            return typeof chineseConverter !== 'undefined' ? chineseConverter.originalText(ruby.firstChild) : ruby.firstChild.textContent;
+        });
+        const wanted = Array.from(keyword).filter(c => /\p{Script=Han}/u.test(c));
+        if (wanted.length === 0) return;
+
+        for (let i = 0; i + wanted.length <= chars.length; i++) {
+            if (wanted.every((c, j) => chars[i + j] === c)) {
+                rubies.slice(i, i + wanted.length).forEach(ruby => ruby.classList.add('search-hit'));
+            }
+        }
+    }
+
+    (query.q || '').split(/\s+/).filter(Boolean).forEach(highlight);
+
+    BookPager.goTo(BookPager.pageOf(target), 'replace');
+    target.classList.add('search-target');
+    target.scrollIntoView({ block: 'center' });
+})();
@@ -1,24 +1,164 @@
 // 搜索引擎模块
-// 实现客户端搜索功能，支持多关键词搜索和结果高亮
+// 实现客户端搜索功能，支持多关键词搜索和结果高亮，以及书籍正文的段落级全文搜索
+// 标题、标签和书籍正文也可以用拼音全拼或首字母搜索（如 sanzijing、san zi jing、szj）
+// 设置简繁转换器后，繁体关键词先转为简体再搜索（如"三字經"）
 
 class SearchEngine {
   constructor() {
     this.data = [];
+    // 内容的倒排索引（见 SearchEngine.buildIndex）
+    this.index = null;
+    // 书籍正文段落：[{ bookId, bookTitle, line, text, pinyin }]
+    this.paragraphs = [];
+    // 内容标题和标签的拼音：{ 内容ID: { title, tags } }
+    this.pinyinIndex = {};
+    // 简繁转换器（见 chineseConverter.js），可选
+    this.converter = null;
   }
 
   /**
    * 设置搜索数据源
+   * 传入预先生成的索引（data/search-index.json）且与内容一致时直接使用，否则根据内容重新建立索引
    * @param {Array} contentArray - 内容数组
+   * @param {Object} index - 预先生成的索引，可选
    */
-  setData(contentArray) {
+  setData(contentArray, index = null) {
     this.data = contentArray || [];
+    this.index = index && this._indexMatches(index) ? index : SearchEngine.buildIndex(this.data);
+  }
+
+  /**
+   * 设置标题和标签的拼音索引
+   * @param {Object} index - 内容ID → { title, tags }（见 DataLoader.loadPinyinIndex）
+   */
+  setPinyinIndex(index) {
+    this.pinyinIndex = index || {};
+  }
+
+  /**
+   * 设置简繁转换器，之后的搜索不区分简体和繁体
+   * @param {ChineseConverter} converter - 已加载转换表的转换器
+   */
+  setConverter(converter) {
+    this.converter = converter || null;
+  }
+
+  /**
+   * 把关键词中的繁体字转为简体（内容和书籍正文均为简体），未设置转换器时原样返回
+   * 逐字转换，字数不变
+   * @param {string} keyword - 搜索关键词
+   * @returns {string} 简体关键词
+   * @private
+   */
+  _toSimplified(keyword) {
+    return this.converter ? this.converter.toSimplified(keyword) : keyword;
+  }
+
+  /**
+   * 把文本切分为词元（不区分大小写）
+   * 连续的汉字按相邻两字切分（二元组，如"传统文化"→ 传统、统文、文化），只有一个汉字时为单字；
+   * 连续的字母和数字为一个词。建索引时汉字还会按单字切分，使单字查询也能命中
+   *
+   * @param {string} text - 原始文本
+   * @param {boolean} forIndex - 是否用于建索引，默认为查询
+   * @returns {Array<string>} 词元数组（可能重复）
+   */
+  static tokenize(text, forIndex = false) {
+    const tokens = [];
+    const runs = (text || '').toLowerCase().match(/\p{Script=Han}+|[^\p{Script=Han}\p{P}\p{S}\p{Z}\s]+/gu) || [];
+    runs.forEach(run => {
+      if (!/\p{Script=Han}/u.test(run)) {
+        tokens.push(run);
+        return;
+      }
+      const chars = Array.from(run);
+      if (forIndex || chars.length === 1) {
+        tokens.push(...chars);
+      }
+      for (let i = 0; i + 1 < chars.length; i++) {
+        tokens.push(chars[i] + chars[i + 1]);
+      }
+    });
+    return tokens;
+  }
+
+  /**
+   * 取内容项某个字段的文本（标签之间用空格分隔，不跨标签切分）
+   * @private
+   */
+  static _fieldText(item, field) {
+    const value = item[field];
+    return Array.isArray(value) ? value.join(' ') : (value || '');
+  }
+
+  /**
+   * 计算内容项已索引字段的摘要，用于判断预先生成的索引是否过期
+   * @param {Object} item - 内容项
+   * @returns {string} 摘要
+   */
+  static hashItem(item) {
+    const text = SearchEngine.FIELDS.map(field => SearchEngine._fieldText(item, field)).join('\u0000');
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  /**
+   * 为内容建立倒排索引
+   * 结果可以序列化为 JSON 保存（见 tools/build-search-index.js），各页面加载后直接使用
+   *
+   * @param {Array} items - 内容数组
+   * @returns {Object} { version, fields, docs: [{ id, hash, lengths: [各字段词元数] }], averageLengths,
+   *   postings: { 词元: [文档序号, 字段序号, 词频, …] } }
+   */
+  static buildIndex(items) {
+    const postings = Object.create(null);
+    const totals = SearchEngine.FIELDS.map(() => 0);
+
+    const docs = items.map((item, doc) => {
+      const lengths = SearchEngine.FIELDS.map((field, f) => {
+        const tokens = SearchEngine.tokenize(SearchEngine._fieldText(item, field), true);
+        const counts = new Map();
+        tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+        counts.forEach((tf, token) => {
+          (postings[token] = postings[token] || []).push(doc, f, tf);
+        });
+        totals[f] += tokens.length;
+        return tokens.length;
+      });
+      return { id: item.id, hash: SearchEngine.hashItem(item), lengths };
+    });
+
+    return {
+      version: SearchEngine.INDEX_VERSION,
+      fields: SearchEngine.FIELDS,
+      docs,
+      averageLengths: totals.map(total => items.length > 0 ? total / items.length : 0),
+      postings
+    };
+  }
+
+  /**
+   * 检查索引是否与当前内容一致（版本、字段、内容顺序和各内容的摘要都相同）
+   * @private
+   */
+  _indexMatches(index) {
+    return index.version === SearchEngine.INDEX_VERSION
+      && Array.isArray(index.docs)
+      && index.docs.length === this.data.length
+      && SearchEngine.FIELDS.every((field, f) => index.fields[f] === field)
+      && index.docs.every((doc, i) => doc.id === this.data[i].id && doc.hash === SearchEngine.hashItem(this.data[i]));
   }
 
   /**
    * 执行搜索
-   * 在标题和简介中查找关键词（不区分大小写）
-   * 支持多关键词搜索（空格分隔）
-   * 按相关度排序（标题匹配优先）
+   * 查询切分为词元后按 BM25 对标题、标签、简介和详细描述加权计分（标题权重最高），
+   * 不要求查询连续出现，"中国传统文化"也能找到同时提到"中国"和"传统文化"的内容；
+   * 至少命中三分之二的词元才算匹配，避免只命中一个常见字词的结果（如"三zijing"只命中"三"）；
+   * 索引中没有的汉字词元（多为跨词的二元组，如"中国历史"中的"国历"）不计入
+   * 关键词含拼音时，整个查询（忽略空格和声调）还会按拼音匹配标题和标签
    * 
    * @param {string} keyword - 搜索关键词
    * @returns {Array} 匹配的内容项数组，按相关度排序
@@ -29,31 +169,60 @@ class SearchEngine {
       return [];
     }
 
-    // 分割多个关键词，过滤空字符串
-    const keywords = keyword.toLowerCase().trim().split(/\s+/).filter(kw => kw !== '');
-    
-    if (keywords.length === 0) {
-      return [];
+    if (!this.index) {
+      this.index = SearchEngine.buildIndex(this.data);
     }
 
+    keyword = this._toSimplified(keyword);
+    const tokens = [...new Set(SearchEngine.tokenize(keyword))];
+    const pinyinQuery = this._pinyinQuery(keyword);
+    const { docs, averageLengths, postings } = this.index;
+    const count = docs.length;
+    const scores = docs.map(() => 0);
+    const matched = docs.map(() => 0);
+
+    tokens.forEach(token => {
+      if (!Object.prototype.hasOwnProperty.call(postings, token)) return;
+      const list = postings[token];
+
+      const docsWithToken = new Set();
+      for (let i = 0; i < list.length; i += 3) {
+        docsWithToken.add(list[i]);
+      }
+      const idf = Math.log(1 + (count - docsWithToken.size + 0.5) / (docsWithToken.size + 0.5));
+
+      for (let i = 0; i < list.length; i += 3) {
+        const [doc, field, tf] = [list[i], list[i + 1], list[i + 2]];
+        const norm = 1 - SearchEngine.BM25_B + SearchEngine.BM25_B * docs[doc].lengths[field] / (averageLengths[field] || 1);
+        const weight = SearchEngine.FIELD_WEIGHTS[SearchEngine.FIELDS[field]];
+        scores[doc] += idf * weight * tf * (SearchEngine.BM25_K1 + 1) / (tf + SearchEngine.BM25_K1 * norm);
+      }
+      docsWithToken.forEach(doc => {
+        matched[doc]++;
+      });
+    });
+
+    // 字母词元总是计入：混合查询中的拼音由下面的拼音匹配计分
+    const counted = tokens.filter(token => !/\p{Script=Han}/u.test(token)
+      || Object.prototype.hasOwnProperty.call(postings, token));
+    const required = Math.ceil(counted.length * 2 / 3);
     const results = [];
 
-    // 遍历所有内容项，计算匹配分数
-    this.data.forEach(item => {
-      const title = (item.title || '').toLowerCase();
-      const description = (item.description || '').toLowerCase();
-      
-      let score = 0;
-      
-      // 每个关键词在标题中匹配得 2 分，在简介中匹配得 1 分
-      keywords.forEach(kw => {
-        if (title.includes(kw)) {
-          score += 2;
+    this.data.forEach((item, doc) => {
+      let score = matched[doc] >= required ? scores[doc] : 0;
+
+      // 拼音匹配标题或标签时按一个少见词元的分数计分
+      if (pinyinQuery) {
+        const pinyin = this.pinyinIndex[item.id];
+        const matchesPinyin = (text, reading) => reading !== undefined
+          && this._findPinyin(this._pinyinUnits(text, reading), pinyinQuery).length > 0;
+        if (pinyin && matchesPinyin(item.title || '', pinyin.title)) {
+          score += SearchEngine.PINYIN_SCORE * SearchEngine.FIELD_WEIGHTS.title;
         }
-        if (description.includes(kw)) {
-          score += 1;
+        if (pinyin && (item.tags || []).some((tag, i) => matchesPinyin(tag, pinyin.tags[i]))) {
+          score += SearchEngine.PINYIN_SCORE * SearchEngine.FIELD_WEIGHTS.tags;
         }
-      });
+      }
 
       // 只保留有匹配的内容项
       if (score > 0) {
@@ -61,7 +230,7 @@ class SearchEngine {
       }
     });
 
-    // 按相关度排序（分数高的在前）
+    // 按相关度排序（分数高的在前，相同时保持原有顺序）
     results.sort((a, b) => b.score - a.score);
     
     // 返回排序后的内容项数组
@@ -69,47 +238,464 @@ class SearchEngine {
   }
 
   /**
-   * 转义正则表达式特殊字符
-   * @param {string} str - 要转义的字符串
-   * @returns {string} 转义后的字符串
+   * 按分面筛选搜索结果
+   * 同一分面内选中多个取值时满足其一即可，不同分面之间须同时满足
+   *
+   * @param {Array} items - 内容项数组
+   * @param {Object} filters - { type: [类型…], ageRating: [分级…], tags: [标签…], featured: 是否只看推荐 }
+   * @param {string} except - 忽略的分面（计算该分面的数量时使用），默认不忽略
+   * @returns {Array} 符合条件的内容项，保持原有顺序
+   */
+  applyFilters(items, filters, except = null) {
+    const selected = (facet) => facet !== except && filters[facet] && filters[facet].length > 0;
+
+    return items.filter(item => {
+      if (selected('type') && !filters.type.includes(item.type)) return false;
+      if (selected('ageRating') && !filters.ageRating.includes(item.ageRating)) return false;
+      if (selected('tags') && !(item.tags || []).some(tag => filters.tags.includes(tag))) return false;
+      if (except !== 'featured' && filters.featured && !item.featured) return false;
+      return true;
+    });
+  }
+
+  /**
+   * 统计各分面取值的结果数量
+   * 每个分面的数量按其他分面的筛选条件计算，表示勾选该取值后能看到的结果数
+   *
+   * @param {Array} items - 搜索结果（未筛选）
+   * @param {Object} filters - 当前筛选条件（见 applyFilters）
+   * @returns {Object} { type: { 取值: 数量 }, ageRating: {…}, tags: {…}, featured: 推荐内容数量 }
+   */
+  facetCounts(items, filters) {
+    const count = (facet, valuesOf) => {
+      const counts = {};
+      this.applyFilters(items, filters, facet).forEach(item => {
+        valuesOf(item).forEach(value => {
+          counts[value] = (counts[value] || 0) + 1;
+        });
+      });
+      return counts;
+    };
+
+    return {
+      type: count('type', item => item.type ? [item.type] : []),
+      ageRating: count('ageRating', item => item.ageRating ? [item.ageRating] : []),
+      tags: count('tags', item => item.tags || []),
+      featured: this.applyFilters(items, filters, 'featured').filter(item => item.featured).length
+    };
+  }
+
+  /**
+   * 排序搜索结果
+   * @param {Array} items - 内容项数组（按相关度排列）
+   * @param {string} order - 'relevance'（相关度，保持原顺序）、'newest'（按 updatedAt 从新到旧）或 'title'（按标题）
+   * @returns {Array} 排序后的新数组，相同时保持原有顺序
+   */
+  sortResults(items, order) {
+    const sorted = items.slice();
+    if (order === 'newest') {
+      const time = item => Date.parse(item.updatedAt || item.createdAt) || 0;
+      sorted.sort((a, b) => time(b) - time(a));
+    } else if (order === 'title') {
+      sorted.sort((a, b) => (a.title || '').localeCompare(b.title || '', 'zh-CN'));
+    }
+    return sorted;
+  }
+
+  /**
+   * 设置全文搜索的书籍正文
+   * 每一行正文为一个段落，line 为该行在全书正文行（带拼音的行）中的序号（从 1 开始），
+   * 与阅读页中带注音的段落一一对应
+   * @param {Array<Object>} books - 书籍数据数组（见 DataLoader.loadBook）
+   */
+  setBooks(books) {
+    this.paragraphs = [];
+    (books || []).forEach(book => {
+      let line = 0;
+      book.sections.forEach(section => {
+        section.lines.forEach(item => {
+          if (item.type || !item.pinyin) return;
+          line++;
+          this.paragraphs.push({ bookId: book.id, bookTitle: book.title, line, text: item.text, pinyin: item.pinyin });
+        });
+      });
+    });
+  }
+
+  /**
+   * 把文本规范化为只含汉字、字母和数字的小写字符序列，并记录每个字符在原文中的位置
+   * 这样"玉不琢不成器"也能匹配带标点的"玉不琢，不成器"
+   * @param {string} text - 原始文本
+   * @returns {Object} { chars: 规范化后的字符串, offsets: chars 的每个 UTF-16 单元所属字符在原文中的下标 }
+   *   （生僻字占两个单元，两个单元记同一个下标，与 chars.indexOf 的结果一一对应）
    * @private
    */
-  _escapeRegex(str) {
-    return str.replace(/[.*+?^${}()|[\]\\]/g, function(match) {
-      return '\\' + match;
+  _normalize(text) {
+    let chars = '';
+    const offsets = [];
+    Array.from(text).reduce((index, char) => {
+      if (/[\p{Script=Han}\p{L}\p{N}]/u.test(char)) {
+        const lower = char.toLowerCase();
+        chars += lower;
+        for (let i = 0; i < lower.length; i++) {
+          offsets.push(index);
+        }
+      }
+      return index + char.length;
+    }, 0);
+    return { chars, offsets };
+  }
+
+  /**
+   * 去掉拼音的声调，ü 记为 v
+   * @param {string} text - 拼音
+   * @returns {string} 小写、无声调的拼音
+   * @private
+   */
+  _toneless(text) {
+    return text.toLowerCase().normalize('NFD').replace(/u\u0308/g, 'v').replace(/[\u0300-\u036f]/g, '');
+  }
+
+  /**
+   * 把查询规范化为拼音查询：去掉声调、空格和隔音符号，保留其中的汉字（支持"三zijing"这样的混合输入）
+   * 至少含两个拼音字母时才按拼音匹配，避免单个字母匹配到大量首字母
+   * @param {string} keyword - 搜索关键词
+   * @returns {string|null} 拼音查询，不需要按拼音匹配时返回 null
+   * @private
+   */
+  _pinyinQuery(keyword) {
+    const query = this._toneless(keyword || '').replace(/[^a-z0-9\p{Script=Han}]/gu, '');
+    return (query.match(/[a-z]/g) || []).length >= 2 ? query : null;
+  }
+
+  /**
+   * 把文本拆成拼音匹配单元：汉字带上无声调的读音，字母和数字只能按原样匹配，标点和空格忽略
+   * @param {string} text - 原始文本
+   * @param {string} pinyin - 以空格分隔的读音，依次对应文本中的汉字
+   * @returns {Array<Object>} [{ char, syllable, offset（在原文中的下标） }]
+   * @private
+   */
+  _pinyinUnits(text, pinyin) {
+    const readings = (pinyin || '').split(/\s+/).filter(Boolean);
+    const units = [];
+    let han = 0;
+    Array.from(text).reduce((index, char) => {
+      if (/\p{Script=Han}/u.test(char)) {
+        const syllable = this._toneless(readings[han++] || '').replace(/[^a-z]/g, '');
+        units.push({ char, syllable, offset: index });
+      } else if (/[\p{L}\p{N}]/u.test(char)) {
+        units.push({ char: char.toLowerCase(), syllable: '', offset: index });
+      }
+      return index + char.length;
+    }, 0);
+    return units;
+  }
+
+  /**
+   * 在匹配单元中查找拼音查询的所有不重叠命中
+   * 每个汉字可以按原字、全拼（ü 写作 v 或 u）或首字母（zh、ch、sh 也可写两个字母）匹配，
+   * 查询的最后一个字可以只输入读音的开头（如 sanzij）
+   *
+   * @param {Array<Object>} units - _pinyinUnits 的结果
+   * @param {string} query - _pinyinQuery 的结果
+   * @param {boolean} initials - 是否允许按首字母匹配，默认允许
+   * @returns {Array<Array<number>>} 命中的单元范围 [[起, 止)…]
+   * @private
+   */
+  _findPinyin(units, query, initials = true) {
+    const memo = new Map();
+
+    // 从第 i 个单元、查询的第 j 个字符起能否匹配完查询：返回匹配结束的单元下标，不能匹配时返回 -1
+    const matchFrom = (i, j) => {
+      if (j === query.length) return i;
+      if (i === units.length) return -1;
+      const key = i * (query.length + 1) + j;
+      if (memo.has(key)) return memo.get(key);
+
+      const { char, syllable } = units[i];
+      const rest = query.slice(j);
+      const lengths = new Set();
+      if (rest.startsWith(char)) lengths.add(char.length);
+      if (syllable) {
+        [syllable, syllable.replace(/v/g, 'u')].forEach(spelling => {
+          if (rest.startsWith(spelling)) lengths.add(spelling.length);
+          else if (spelling.startsWith(rest)) lengths.add(rest.length);
+        });
+        if (initials) {
+          if (rest[0] === syllable[0]) lengths.add(1);
+          if (/^[zcs]h/.test(syllable) && rest.startsWith(syllable.slice(0, 2))) lengths.add(2);
+        }
+      }
+
+      let end = -1;
+      for (const length of lengths) {
+        end = matchFrom(i + 1, j + length);
+        if (end !== -1) break;
+      }
+      memo.set(key, end);
+      return end;
+    };
+
+    const ranges = [];
+    let start = 0;
+    while (start < units.length) {
+      const end = matchFrom(start, 0);
+      if (end > start) {
+        ranges.push([start, end]);
+        start = end;
+      } else {
+        start++;
+      }
+    }
+    return ranges;
+  }
+
+  /**
+   * 在书籍正文中搜索
+   * 多个关键词（空格分隔）须全部出现在同一段中，忽略标点；
+   * 关键词含拼音时，整个查询还会按正文注音的全拼匹配（如 yubuzhuo 匹配"玉不琢"）；
+   * 按命中次数排序，次数相同时保持书籍和段落的原有顺序
+   *
+   * @param {string} keyword - 搜索关键词
+   * @returns {Array<Object>} 命中的段落 [{ bookId, bookTitle, line, text, ranges: [[起, 止)…] }]，
+   *   ranges 为命中部分在原文中的下标范围
+   */
+  searchBooks(keyword) {
+    if (!keyword || keyword.trim() === '') {
+      return [];
+    }
+
+    keyword = this._toSimplified(keyword);
+    const keywords = keyword.trim().split(/\s+/)
+      .map(kw => this._normalize(kw).chars)
+      .filter(kw => kw !== '');
+
+    if (keywords.length === 0) {
+      return [];
+    }
+
+    const pinyinQuery = this._pinyinQuery(keyword);
+    const results = [];
+
+    this.paragraphs.forEach(paragraph => {
+      const { chars, offsets } = this._normalize(paragraph.text);
+      let ranges = [];
+
+      const allFound = keywords.every(kw => {
+        let from = chars.indexOf(kw);
+        if (from === -1) return false;
+        while (from !== -1) {
+          // 命中范围的结束位置为最后一个字符之后（生僻字可能占两个 UTF-16 单元）
+          const last = offsets[from + kw.length - 1];
+          ranges.push([offsets[from], last + String.fromCodePoint(paragraph.text.codePointAt(last)).length]);
+          from = chars.indexOf(kw, from + kw.length);
+        }
+        return true;
+      });
+      if (!allFound) {
+        ranges = [];
+      }
+
+      // 正文较长，拼音只按全拼匹配，不按首字母匹配
+      if (pinyinQuery) {
+        const units = this._pinyinUnits(paragraph.text, paragraph.pinyin);
+        this._findPinyin(units, pinyinQuery, false).forEach(([from, to]) => {
+          const last = units[to - 1].offset;
+          ranges.push([units[from].offset, last + String.fromCodePoint(paragraph.text.codePointAt(last)).length]);
+        });
+      }
+
+      if (ranges.length > 0) {
+        ranges.sort((a, b) => a[0] - b[0]);
+        results.push({ ...paragraph, ranges });
+      }
     });
+
+    return results
+      .map((result, order) => ({ result, order }))
+      .sort((a, b) => b.result.ranges.length - a.result.ranges.length || a.order - b.order)
+      .map(r => r.result);
   }
 
   /**
-   * 高亮搜索关键词
-   * 将文本中的关键词用 <mark> 标签包裹
-   * 
+   * 生成段落命中的摘要：以第一处命中为中心截取上下文，命中部分用 <mark> 包裹，其余文本转义
+   * @param {Object} hit - searchBooks 返回的结果项
+   * @param {number} radius - 命中处前后保留的字数，默认 20
+   * @returns {string} 摘要 HTML
+   */
+  snippet(hit, radius = 20) {
+    const text = hit.text;
+    const first = hit.ranges[0];
+    const start = first ? Math.max(first[0] - radius, 0) : 0;
+    const end = first ? Math.min(first[1] + radius, text.length) : Math.min(radius * 2, text.length);
+    return this._markRanges(text, this._mergeRanges(hit.ranges), start, end);
+  }
+
+  /**
+   * 找出关键词在文本中的所有命中
+   * 关键词按与 search 相同的方式切分（汉字二元组、字母和数字组成的词），所以"中国传统文化"能分别标出
+   * "中国"和"传统文化"；传入文本的拼音时，拼音关键词（如 szj）也能标出对应的汉字
+   *
+   * @param {string} text - 原始文本
+   * @param {string} keyword - 搜索关键词
+   * @param {string} pinyin - 文本的拼音，空格分隔、依次对应文本中的汉字（见 pinyinIndex），可选
+   * @returns {Array<Object>} 命中 [{ from, to, token }]，from、to 为原文中的下标，token 为命中的词元
+   * @private
+   */
+  _matches(text, keyword, pinyin = null) {
+    const matches = [];
+    if (!text || !keyword) return matches;
+
+    keyword = this._toSimplified(keyword);
+    // 个别字符转为小写后长度会变，这时按原文区分大小写查找，保证下标与原文一致
+    const lower = text.toLowerCase();
+    const haystack = lower.length === text.length ? lower : text;
+
+    new Set(SearchEngine.tokenize(keyword)).forEach(token => {
+      let from = haystack.indexOf(token);
+      while (from !== -1) {
+        matches.push({ from, to: from + token.length, token });
+        from = haystack.indexOf(token, from + 1);
+      }
+    });
+
+    const pinyinQuery = pinyin ? this._pinyinQuery(keyword) : null;
+    if (pinyinQuery) {
+      const units = this._pinyinUnits(text, pinyin);
+      this._findPinyin(units, pinyinQuery).forEach(([from, to]) => {
+        const last = units[to - 1].offset;
+        matches.push({
+          from: units[from].offset,
+          to: last + String.fromCodePoint(text.codePointAt(last)).length,
+          token: pinyinQuery
+        });
+      });
+    }
+
+    return matches;
+  }
+
+  /**
+   * 计算关键词在文本中的命中范围，重叠或相邻的命中合并为一段
+   * @param {string} text - 原始文本
+   * @param {string} keyword - 搜索关键词
+   * @param {string} pinyin - 文本的拼音（见 _matches），可选
+   * @returns {Array<Array<number>>} 命中范围 [[起, 止)…]，按位置排序
+   */
+  matchRanges(text, keyword, pinyin = null) {
+    return this._mergeRanges(this._matches(text, keyword, pinyin).map(match => [match.from, match.to]));
+  }
+
+  /**
+   * 高亮搜索关键词：先算出全部命中范围再统一转义和包裹 <mark>，
+   * 多个关键词互相重叠或关键词本身含有 HTML 字符时也不会产生错误的标签
+   *
    * @param {string} text - 原始文本
    * @param {string} keyword - 要高亮的关键词（可以是多个，空格分隔）
-   * @returns {string} 带高亮标记的 HTML 字符串
+   * @param {Object} options - 可选项：pinyin 为文本的拼音（见 _matches）
+   * @returns {string} 转义后、带高亮标记的 HTML 字符串
+   */
+  highlight(text, keyword, { pinyin = null } = {}) {
+    if (!text) return '';
+    return this._markRanges(text, this.matchRanges(text, keyword, pinyin), 0, text.length);
+  }
+
+  /**
+   * 截取命中最集中的一段文本作为摘要，命中部分高亮，截断处加省略号
+   * 在所有以命中为起点的窗口中，选命中不同词元最多的一段，其次是命中次数最多、位置最靠前的一段；
+   * 没有命中时取开头一段
+   *
+   * @param {string} text - 原始文本
+   * @param {string} keyword - 搜索关键词
+   * @param {Object} options - 可选项：length 为摘要长度（字数，默认 80），pinyin 为文本的拼音（见 _matches）
+   * @returns {string} 转义后、带高亮标记的摘要 HTML
    */
-  highlight(text, keyword) {
-    if (!keyword || !text) {
-      return text;
+  excerpt(text, keyword, { length = 80, pinyin = null } = {}) {
+    if (!text) return '';
+    const matches = this._matches(text, keyword, pinyin);
+    const ranges = this._mergeRanges(matches.map(match => [match.from, match.to]));
+    if (text.length <= length) {
+      return this._markRanges(text, ranges, 0, text.length);
     }
-    
-    // 分割多个关键词
-    const keywords = keyword.split(/\s+/).filter(kw => kw.trim() !== '');
-    let result = text;
-    
-    // 对每个关键词进行高亮处理
-    keywords.forEach(kw => {
-      // 转义特殊正则字符，防止正则表达式错误
-      const escapedKw = this._escapeRegex(kw);
-      // 创建不区分大小写的正则表达式
-      const regex = new RegExp(`(${escapedKw})`, 'gi');
-      // 用 <mark> 标签包裹匹配的文本
-      result = result.replace(regex, '<mark>$1</mark>');
+
+    // 命中前保留约四分之一的上文
+    const lead = Math.floor(length / 4);
+    let best = { start: 0, tokens: 0, count: 0 };
+    matches.forEach(match => {
+      const start = Math.max(Math.min(match.from - lead, text.length - length), 0);
+      const inside = matches.filter(m => m.from >= start && m.to <= start + length);
+      const tokens = new Set(inside.map(m => m.token)).size;
+      if (tokens > best.tokens ||
+        (tokens === best.tokens && inside.length > best.count) ||
+        (tokens === best.tokens && inside.length === best.count && start < best.start)) {
+        best = { start, tokens, count: inside.length };
+      }
     });
-    
-    return result;
+
+    return this._markRanges(text, ranges, best.start, best.start + length);
+  }
+
+  /**
+   * 合并重叠或相邻的范围
+   * @param {Array<Array<number>>} ranges - 范围 [[起, 止)…]
+   * @returns {Array<Array<number>>} 按位置排序、互不重叠的范围
+   * @private
+   */
+  _mergeRanges(ranges) {
+    const merged = [];
+    ranges.slice().sort((a, b) => a[0] - b[0]).forEach(([from, to]) => {
+      const last = merged[merged.length - 1];
+      if (last && from <= last[1]) {
+        last[1] = Math.max(last[1], to);
+      } else {
+        merged.push([from, to]);
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * 截取 [start, end) 一段文本，命中部分用 <mark> 包裹，其余文本转义，截断处加省略号
+   * 截取位置不会把生僻字（两个 UTF-16 单元）从中间切开
+   * @param {string} text - 原始文本
+   * @param {Array<Array<number>>} ranges - _mergeRanges 的结果
+   * @param {number} start - 起始下标
+   * @param {number} end - 结束下标
+   * @returns {string} 摘要 HTML
+   * @private
+   */
+  _markRanges(text, ranges, start, end) {
+    const isTrail = index => index > 0 && index < text.length && /[\uDC00-\uDFFF]/.test(text[index]);
+    if (isTrail(start)) start--;
+    if (isTrail(end)) end++;
+
+    let html = start > 0 ? '…' : '';
+    let cursor = start;
+    ranges.forEach(([from, to]) => {
+      from = Math.max(from, start);
+      to = Math.min(to, end);
+      if (from >= to) return;
+      html += escapeHtml(text.slice(cursor, from)) + `<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+      cursor = to;
+    });
+    html += escapeHtml(text.slice(cursor, end));
+    if (end < text.length) html += '…';
+    return html;
   }
 }
 
+// 索引参数：索引格式版本、参与搜索的字段及权重、BM25 的 k1 和 b、拼音匹配的基础分
+SearchEngine.INDEX_VERSION = 1;
+SearchEngine.FIELDS = ['title', 'tags', 'description', 'detailedDescription'];
+SearchEngine.FIELD_WEIGHTS = { title: 5, tags: 2, description: 1.5, detailedDescription: 1 };
+SearchEngine.BM25_K1 = 1.2;
+SearchEngine.BM25_B = 0.75;
+SearchEngine.PINYIN_SCORE = 3;
+
 // 创建全局实例供其他模块使用
 const searchEngine = new SearchEngine();
+
+// 导出（供 Node 命令行工具生成索引）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SearchEngine };
+}
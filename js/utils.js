@@ -434,6 +434,47 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * 动态加载脚本
+ * 按顺序插入 <script> 标签，前一个脚本执行完毕后再加载下一个
+ * @param {string|Array<string>} srcs - 脚本地址或地址数组
+ * @returns {Promise} 全部脚本执行完毕后 resolve，任一脚本加载失败时 reject
+ * @example
+ * await loadScript(['./js/book-pager.js', './js/book-reader.js']);
+ */
+async function loadScript(srcs) {
+  for (const src of [].concat(srcs)) {
+    await new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error(`脚本加载失败: ${src}`));
+      document.body.appendChild(script);
+    });
+  }
+}
+
+/**
+ * 获取最近的搜索关键词
+ * @returns {Array<string>} 关键词数组，最近的在前
+ */
+function getRecentSearches() {
+  const recent = getStorage('recentSearches');
+  return Array.isArray(recent) ? recent : [];
+}
+
+/**
+ * 记录一次搜索，相同的关键词移到最前，最多保留 8 个
+ * @param {string} keyword - 搜索关键词
+ */
+function addRecentSearch(keyword) {
+  keyword = (keyword || '').trim();
+  if (!keyword) return;
+  const recent = getRecentSearches().filter(k => k !== keyword);
+  recent.unshift(keyword);
+  setStorage('recentSearches', recent.slice(0, 8));
+}
+
 // 导出所有函数（如果使用模块化）
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
@@ -453,13 +494,16 @@ if (typeof module !== 'undefined' && module.exports) {
     isMobile,
     smoothScrollTo,
     formatFileSize,
-    sleep
+    sleep,
+    loadScript,
+    getRecentSearches,
+    addRecentSearch
   };
 }
 
 /**
  * 初始化导航栏搜索框
- * 为搜索框添加交互逻辑，包括空搜索验证和视觉反馈
+ * 为搜索框添加交互逻辑，包括空搜索验证和视觉反馈，以及输入时的搜索建议（见 initSearchSuggestions）
  * @param {string} formSelector - 搜索表单选择器，默认 '.search-box form'
  * @param {string} inputSelector - 搜索输入框选择器，默认 '#search-input'
  * @example
@@ -495,6 +539,7 @@ function initSearchBox(formSelector = '.search-box form', inputSelector = '#sear
     }
     
     // 允许表单正常提交到 search.html
+    addRecentSearch(keyword);
     return true;
   });
   
@@ -504,15 +549,245 @@ function initSearchBox(formSelector = '.search-box form', inputSelector = '#sear
     searchInput.classList.remove('error-shake');
   });
   
-  // 可选：添加防抖优化（如果需要实时搜索建议）
-  // const debouncedSearch = debounce(function() {
-  //   const keyword = searchInput.value.trim();
-  //   if (keyword.length >= 2) {
-  //     // 这里可以添加搜索建议功能
-  //     console.log('搜索建议:', keyword);
-  //   }
-  // }, 300);
-  // 
-  // searchInput.addEventListener('input', debouncedSearch);
+  initSearchSuggestions(searchForm, searchInput);
 }
 
+/**
+ * 为搜索框添加搜索建议下拉列表（ARIA combobox）
+ * 输入为空时列出最近搜索和热门搜索（data/config.json 的 search.popularQueries），
+ * 输入后列出匹配的内容标题（支持拼音，选中后直接打开详情页）、标签和最近搜索；
+ * ↑/↓ 选择，Enter 打开，Esc 关闭。内容和索引在第一次获得焦点时才加载
+ * @param {HTMLFormElement} searchForm - 搜索表单
+ * @param {HTMLInputElement} searchInput - 搜索输入框
+ */
+function initSearchSuggestions(searchForm, searchInput) {
+  const MAX_CONTENT = 5;
+  const MAX_TAGS = 3;
+  const MAX_RECENT = 5;
+  const MAX_POPULAR = 5;
+
+  const listId = `${searchInput.id || 'search-input'}-suggestions`;
+  const list = document.createElement('ul');
+  list.id = listId;
+  list.className = 'search-suggestions';
+  list.setAttribute('role', 'listbox');
+  list.setAttribute('aria-label', '搜索建议');
+  list.hidden = true;
+  searchForm.classList.add('has-suggestions');
+  searchForm.appendChild(list);
+
+  searchInput.setAttribute('role', 'combobox');
+  searchInput.setAttribute('aria-autocomplete', 'list');
+  searchInput.setAttribute('aria-controls', listId);
+  searchInput.setAttribute('aria-expanded', 'false');
+  searchInput.setAttribute('autocomplete', 'off');
+
+  let options = [];
+  let active = -1;
+  let source = null;
+
+  // 加载建议数据：内容、搜索索引、拼音索引和热门搜索（没有 dataLoader 的页面只显示最近搜索）
+  function loadSource() {
+    if (source) return source;
+    if (typeof dataLoader === 'undefined') {
+      source = Promise.resolve({ engine: null, tags: [], popular: [] });
+      return source;
+    }
+
+    source = (async () => {
+      const content = await dataLoader.loadContent();
+      const converter = typeof chineseConverter !== 'undefined' ? chineseConverter : null;
+      const [index, pinyin, config, converterLoaded] = await Promise.all([
+        dataLoader.loadSearchIndex().catch(() => null),
+        dataLoader.loadPinyinIndex().catch(() => null),
+        dataLoader.loadConfig().catch(() => null),
+        converter ? converter.load().then(() => true, () => false) : false,
+        typeof SearchEngine === 'undefined' ? loadScript('./js/searchEngine.js') : null
+      ]);
+
+      const engine = new SearchEngine();
+      engine.setData(content, index);
+      engine.setPinyinIndex(pinyin);
+      if (converterLoaded) engine.setConverter(converter);
+
+      // 标签按出现次数排序
+      const tagCounts = new Map();
+      content.forEach(item => (item.tags || []).forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1)));
+      const tags = [...tagCounts.keys()].sort((a, b) => tagCounts.get(b) - tagCounts.get(a));
+
+      const popular = (config && config.search && config.search.popularQueries) || [];
+      return { engine, tags, popular };
+    })().catch(error => {
+      console.warn('加载搜索建议失败:', error);
+      source = null;
+      return { engine: null, tags: [], popular: [] };
+    });
+    return source;
+  }
+
+  const searchUrl = (keyword) => `./search.html?q=${encodeURIComponent(keyword)}`;
+
+  // 生成建议分组：[{ label: 分组名, options: [{ text, hint, url, keyword }] }]
+  async function buildGroups(keyword) {
+    const { engine, tags, popular } = await loadSource();
+    const recent = getRecentSearches();
+    const query = keyword.toLowerCase();
+
+    if (!keyword) {
+      const recentOptions = recent.slice(0, MAX_RECENT);
+      return [
+        { label: '最近搜索', options: recentOptions.map(k => ({ text: k, url: searchUrl(k), keyword: k })) },
+        {
+          label: '热门搜索',
+          options: popular.filter(k => !recentOptions.includes(k)).slice(0, MAX_POPULAR)
+            .map(k => ({ text: k, url: searchUrl(k), keyword: k }))
+        }
+      ];
+    }
+
+    // 标签为简体，繁体关键词先转为简体再匹配
+    const tagQuery = engine && engine.converter ? engine.converter.toSimplified(query) : query;
+
+    return [
+      {
+        label: '内容',
+        options: (engine ? engine.search(keyword) : []).slice(0, MAX_CONTENT).map(item => ({
+          text: item.title,
+          hint: typeof renderer !== 'undefined' ? renderer.getTypeName(item.type) : '',
+          url: `./detail.html?id=${encodeURIComponent(item.id)}`
+        }))
+      },
+      {
+        label: '标签',
+        options: tags.filter(tag => tag.toLowerCase().includes(tagQuery))
+          .sort((a, b) => Number(b.toLowerCase().startsWith(tagQuery)) - Number(a.toLowerCase().startsWith(tagQuery)))
+          .slice(0, MAX_TAGS)
+          .map(tag => ({ text: tag, hint: '标签', url: searchUrl(tag), keyword: tag }))
+      },
+      {
+        label: '最近搜索',
+        options: recent.filter(k => k !== keyword && k.toLowerCase().includes(query)).slice(0, MAX_RECENT)
+          .map(k => ({ text: k, url: searchUrl(k), keyword: k }))
+      }
+    ];
+  }
+
+  function setActive(index) {
+    active = index;
+    list.querySelectorAll('[role="option"]').forEach((el, i) => {
+      el.setAttribute('aria-selected', i === active ? 'true' : 'false');
+      if (i === active) el.scrollIntoView({ block: 'nearest' });
+    });
+    if (active >= 0) {
+      searchInput.setAttribute('aria-activedescendant', `${listId}-${active}`);
+    } else {
+      searchInput.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function close() {
+    list.hidden = true;
+    searchInput.setAttribute('aria-expanded', 'false');
+    setActive(-1);
+  }
+
+  function render(groups) {
+    options = [];
+    list.innerHTML = groups.filter(group => group.options.length > 0).map(group => `
+      <li role="presentation" class="search-suggestion-group">${escapeHtml(group.label)}</li>
+      ${group.options.map(option => {
+        const index = options.push(option) - 1;
+        return `
+          <li role="option" id="${listId}-${index}" class="search-suggestion" data-index="${index}" aria-selected="false">
+            <span class="search-suggestion-text">${escapeHtml(option.text)}</span>
+            ${option.hint ? `<span class="search-suggestion-hint">${escapeHtml(option.hint)}</span>` : ''}
+          </li>
+        `;
+      }).join('')}
+    `).join('');
+
+    if (options.length === 0) {
+      close();
+      return;
+    }
+    list.hidden = false;
+    searchInput.setAttribute('aria-expanded', 'true');
+    setActive(-1);
+  }
+
+  // 打开建议：搜索词记入最近搜索，内容建议直接打开详情页
+  function choose(option) {
+    if (option.keyword) addRecentSearch(option.keyword);
+    close();
+    window.location.href = option.url;
+  }
+
+  // 输入过程中只渲染最后一次请求的结果
+  let requestId = 0;
+  async function update() {
+    const current = ++requestId;
+    const groups = await buildGroups(searchInput.value.trim());
+    if (current === requestId && document.activeElement === searchInput) {
+      render(groups);
+    }
+  }
+
+  searchInput.addEventListener('focus', update);
+  searchInput.addEventListener('input', debounce(update, 150));
+
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (list.hidden) {
+        update();
+        return;
+      }
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      // 在第一项之前和最后一项之后回到输入框（不选中任何建议）
+      const next = active + step;
+      setActive(next < -1 ? options.length - 1 : next >= options.length ? -1 : next);
+    } else if (e.key === 'Enter' && active >= 0 && !list.hidden) {
+      e.preventDefault();
+      choose(options[active]);
+    } else if (e.key === 'Escape' && !list.hidden) {
+      e.preventDefault();
+      close();
+    }
+  });
+
+  // 按下鼠标时阻止输入框失去焦点，松开后打开建议
+  list.addEventListener('mousedown', (e) => e.preventDefault());
+  list.addEventListener('click', (e) => {
+    const el = e.target.closest('[role="option"]');
+    if (el) choose(options[Number(el.dataset.index)]);
+  });
+
+  searchInput.addEventListener('blur', close);
+  searchForm.addEventListener('submit', close);
+}
+
+
+/**
+ * 数据更新提示
+ * 后台核对发现 content.json 等数据文件有新版本时（DataLoader 发出 dataupdate 事件），
+ * 在页面底部提示刷新；同一页面只提示一次
+ */
+function initDataUpdateNotice() {
+  let notice = null;
+
+  window.addEventListener('dataupdate', () => {
+    if (notice) return;
+
+    notice = document.createElement('div');
+    notice.className = 'update-notice';
+    notice.setAttribute('role', 'status');
+    notice.innerHTML = `
+      <span class="update-notice-text">内容已更新</span>
+      <button type="button" class="update-notice-reload">刷新页面</button>
+      <button type="button" class="update-notice-close" aria-label="关闭提示">×</button>
+    `;
+    notice.querySelector('.update-notice-reload').addEventListener('click', () => window.location.reload());
+    notice.querySelector('.update-notice-close').addEventListener('click', () => notice.remove());
+    document.body.appendChild(notice);
+  });
+}
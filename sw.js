@@ -0,0 +1,181 @@
+// 离线缓存 Service Worker
+// 安装时预缓存站点外壳（页面、样式、脚本、内容数据、书籍正文、封面和图标），打开过一次本站后所有书籍都能离线阅读；
+// 详情页可选下载的汉字字典另存在附加文件缓存中；
+// 请求一律先走网络（超时或失败时改用缓存），联网时总能拿到最新文件，离线时使用已缓存的版本，
+// 改用缓存时通知页面显示离线提示（见 js/offlineManager.js）
+//
+// 放在站点根目录，作用范围才能覆盖所有页面
+
+// === 预缓存列表开始（由 tools/build-service-worker.js 生成，请勿手工编辑） ===
+const CACHE_VERSION = '0c230052bdb0';
+const PRECACHE_URLS = [
+  './',
+  './about.html',
+  './bookmarks.html',
+  './category.html',
+  './copybook.html',
+  './detail.html',
+  './flashcards.html',
+  './index.html',
+  './quiz.html',
+  './reader.html',
+  './search.html',
+  './manifest.json',
+  './css/base.css',
+  './css/book.css',
+  './css/components.css',
+  './css/copybook.css',
+  './css/layout.css',
+  './css/themes.css',
+  './js/book-pager.js',
+  './js/book-reader.js',
+  './js/bookmarks.js',
+  './js/char-popover.js',
+  './js/chineseConverter.js',
+  './js/copybook.js',
+  './js/dataLoader.js',
+  './js/dataSchema.js',
+  './js/flashcards.js',
+  './js/offlineManager.js',
+  './js/persistentCache.js',
+  './js/pinyin-display.js',
+  './js/quiz.js',
+  './js/reading-progress.js',
+  './js/recitation.js',
+  './js/renderer.js',
+  './js/router.js',
+  './js/search-target.js',
+  './js/searchEngine.js',
+  './js/utils.js',
+  './data/content.json',
+  './data/config.json',
+  './data/recommendations.json',
+  './data/search-index.json',
+  './data/pinyin-index.json',
+  './data/hanzi-variants.json',
+  './data/books/book-001.json',
+  './data/books/book-002.json',
+  './data/books/book-003.json',
+  './data/books/book-004.json',
+  './data/books/book-005.json',
+  './data/books/book-006.json',
+  './data/books/book-007.json',
+  './data/books/book-008.json',
+  './data/books/book-009.json',
+  './data/books/book-010.json',
+  './data/books/book-011.json',
+  './images/covers/三字经-封面图.jpeg',
+  './images/covers/千字文-封面图.jpeg',
+  './images/covers/名贤集-封面图.jpeg',
+  './images/covers/增广贤文-封面图.jpeg',
+  './images/covers/声律启蒙-封面图.jpeg',
+  './images/covers/幼学琼林-封面图.jpeg',
+  './images/covers/弟子规-封面图.jpeg',
+  './images/covers/百家姓-封面图.jpeg',
+  './images/covers/神童诗-封面图.jpeg',
+  './images/covers/笠翁对韵-封面图.jpeg',
+  './images/covers/龙文鞭影-封面图.jpeg',
+  './images/icons/icon-180.png',
+  './images/icons/icon-192.png',
+  './images/icons/icon-512.png'
+];
+// === 预缓存列表结束 ===
+
+const SHELL_CACHE_PREFIX = 'child-learn-shell-';
+const SHELL_CACHE = SHELL_CACHE_PREFIX + CACHE_VERSION;
+// 可选下载的附加文件（汉字字典），由 js/offlineManager.js 写入，更新站点时保留
+const EXTRAS_CACHE = 'child-learn-extras';
+// 网络超过这个时间（毫秒）没有响应且有缓存时改用缓存
+const NETWORK_TIMEOUT = 4000;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      // 绕过浏览器的 HTTP 缓存，保证预缓存的是当前版本的文件
+      .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(networkFirst(event));
+});
+
+/**
+ * 先走网络，超时或失败时改用缓存；没有缓存时继续等待网络
+ * @param {FetchEvent} event - 请求事件
+ * @returns {Promise<Response>} 响应
+ */
+async function networkFirst(event) {
+  const request = event.request;
+  const network = fetch(request);
+  // 网络响应到达时更新缓存（已改用缓存时网络稍后失败不必报错）
+  event.waitUntil(network
+    .then(response => response.ok ? refreshCache(request, response.clone()) : null)
+    .catch(() => {}));
+
+  try {
+    return await Promise.race([
+      network,
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error('网络超时')), NETWORK_TIMEOUT))
+    ]);
+  } catch (error) {
+    const cached = await matchCache(request);
+    if (cached) {
+      event.waitUntil(notifyOffline(event));
+      return cached;
+    }
+    return network;
+  }
+}
+
+/**
+ * 查找缓存：页面请求忽略查询参数（如 reader.html?id=book-001 使用缓存的 reader.html）
+ * @param {Request} request - 请求
+ * @returns {Promise<Response|undefined>} 缓存的响应
+ */
+async function matchCache(request) {
+  const cached = await caches.match(request);
+  if (cached || request.mode !== 'navigate') return cached;
+  return caches.match(request, { ignoreSearch: true });
+}
+
+/**
+ * 联网时顺带更新已缓存的文件，离线时用到的是最近一次打开的版本
+ * @param {Request} request - 请求
+ * @param {Response} response - 网络响应
+ * @returns {Promise<void>}
+ */
+async function refreshCache(request, response) {
+  for (const name of [SHELL_CACHE, EXTRAS_CACHE]) {
+    const cache = await caches.open(name);
+    if (await cache.match(request)) {
+      await cache.put(request, response);
+      return;
+    }
+  }
+}
+
+/**
+ * 通知发出请求的页面：当前显示的是缓存的内容
+ * @param {FetchEvent} event - 请求事件
+ * @returns {Promise<void>}
+ */
+async function notifyOffline(event) {
+  const client = await self.clients.get(event.clientId || event.resultingClientId);
+  if (client) {
+    client.postMessage({ type: 'offline' });
+  }
+}
@@ -0,0 +1,64 @@
+// 搜索引擎测试
+// 用法：node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SearchEngine } = require('../js/searchEngine');
+
+const ITEMS = [
+  { id: 'book-001', title: '三字经', tags: ['国学', '启蒙'], description: '中国传统启蒙教材，三字一句' },
+  { id: 'tv-001', title: '隐秘的角落', tags: ['悬疑', '成长'], description: '三个孩子在景区拍下一段视频' },
+  { id: 'doc-001', title: '航拍中国', tags: ['纪录片', '中国'], description: '从空中俯瞰中国的历史与自然' },
+  { id: 'book-002', title: '千字文', tags: ['国学', '书法'], description: '一千个不重复的汉字组成的韵文' }
+];
+
+const PINYIN = {
+  'book-001': { title: 'sān zì jīng', tags: ['guó xué', 'qǐ méng'] },
+  'tv-001': { title: 'yǐn mì de jiǎo luò', tags: ['xuán yí', 'chéng zhǎng'] },
+  'doc-001': { title: 'háng pāi zhōng guó', tags: ['jì lù piàn', 'zhōng guó'] },
+  'book-002': { title: 'qiān zì wén', tags: ['guó xué', 'shū fǎ'] }
+};
+
+function createEngine() {
+  const engine = new SearchEngine();
+  engine.setData(ITEMS);
+  engine.setPinyinIndex(PINYIN);
+  return engine;
+}
+
+const ids = results => results.map(item => item.id);
+
+test('汉字和拼音混合的查询只匹配拼音对得上的内容', () => {
+  assert.deepStrictEqual(ids(createEngine().search('三zijing')), ['book-001']);
+});
+
+test('全拼和首字母查询匹配标题', () => {
+  const engine = createEngine();
+  assert.deepStrictEqual(ids(engine.search('sanzijing')), ['book-001']);
+  assert.deepStrictEqual(ids(engine.search('szj')), ['book-001']);
+});
+
+test('跨词的二元组不影响整句查询', () => {
+  assert.deepStrictEqual(ids(createEngine().search('中国历史的纪录片')), ['doc-001']);
+});
+
+test('不要求查询连续出现，但只命中其中一个词的内容不算匹配', () => {
+  const engine = createEngine();
+  assert.deepStrictEqual(ids(engine.search('国学 书法')), ['book-002']);
+  assert.deepStrictEqual(ids(engine.search('国学书法')), ['book-002']);
+});
+
+test('正文中有生僻字（占两个 UTF-16 单元）时命中范围仍指向原文', () => {
+  const engine = new SearchEngine();
+  const text = '𠮷𠮷说：玉不琢，不成器。';
+  engine.setBooks([{
+    id: 'book-001',
+    title: '三字经',
+    sections: [{ lines: [{ text, pinyin: 'jí jí shuō yù bù zhuó bù chéng qì' }] }]
+  }]);
+
+  const [hit] = engine.searchBooks('玉不琢不成器');
+  assert.deepStrictEqual(hit.ranges.map(([from, to]) => text.slice(from, to)), ['玉不琢，不成器']);
+  const [astral] = engine.searchBooks('𠮷说');
+  assert.deepStrictEqual(astral.ranges.map(([from, to]) => text.slice(from, to)), ['𠮷说']);
+});
@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+// 拼音标注工具
+// 把纯文本古文标注为书籍数据（data/books/*.json 格式）或 <ruby> 注音 HTML，
+// 多音字按"覆盖表词语 → 字典词语 → 覆盖表单字 → 字典常用读音"的顺序确定读音，并报告所有靠猜测确定的字
+//
+// 用法：
+//   node tools/annotate-pinyin.js <文本文件> --id book-012 --title 新书 [选项]
+//
+// 文本格式：每行一段正文；"# 标题" 开始新章节，"## 标题" 开始诗题样式的章节，"> 文字" 为不注音的说明，
+//           ">> 文字 | 副标题" 为结尾提示（副标题可省略），空行忽略
+//
+// 选项：
+//   --id <书籍ID>          书籍 ID，同时用于查找覆盖表 data/pinyin-overrides/<书籍ID>.json
+//   --title <书名>         书名
+//   --overrides <文件>     指定覆盖表（默认按 --id 查找）
+//   --page-size <段数>     按段落分页，每页段数
+//   --format json|html     输出书籍数据（默认）或 <ruby> 注音段落
+//   --out <文件>           输出到文件（默认输出到标准输出）
+//   --report <文件>        把猜测和缺字报告另存为 JSON
+//
+// 覆盖表格式：{ "words": { "孝弟": "xiào tì" }, "chars": { "为": "wéi" } }
+// 存在字典中没有的字时以 "?" 占位并以退出码 1 结束
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, isHan, formatBook } = require('./lib/book-data');
+
+const DICTIONARY_FILE = path.join(__dirname, 'pinyin-dictionary.json');
+const OVERRIDES_DIR = path.join(ROOT, 'data/pinyin-overrides');
+const MISSING = '?';
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv - 参数列表（不含 node 和脚本路径）
+ * @returns {Object} { input, id, title, overrides, pageSize, format, out, report }
+ */
+function parseArgs(argv) {
+  const options = { format: 'json' };
+  const names = {
+    '--id': 'id',
+    '--title': 'title',
+    '--overrides': 'overrides',
+    '--page-size': 'pageSize',
+    '--format': 'format',
+    '--out': 'out',
+    '--report': 'report'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (names[arg]) {
+      if (i + 1 >= argv.length) throw new Error(`参数 ${arg} 缺少取值`);
+      options[names[arg]] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`未知参数 ${arg}`);
+    } else if (!options.input) {
+      options.input = arg;
+    } else {
+      throw new Error(`多余的参数 ${arg}`);
+    }
+  }
+
+  if (!options.input) throw new Error('缺少输入文本文件');
+  if (!['json', 'html'].includes(options.format)) throw new Error('--format 只能是 json 或 html');
+  if (options.format === 'json' && (!options.id || !options.title)) {
+    throw new Error('输出书籍数据时需要 --id 和 --title');
+  }
+  return options;
+}
+
+/**
+ * 读取覆盖表；未指定文件时按书籍 ID 查找，不存在则返回空表
+ * @param {Object} options - 命令行选项
+ * @returns {Object} { words, chars }
+ */
+function loadOverrides(options) {
+  let file = options.overrides;
+  if (!file && options.id) {
+    const candidate = path.join(OVERRIDES_DIR, `${options.id}.json`);
+    if (fs.existsSync(candidate)) file = candidate;
+  }
+  if (!file) return { words: {}, chars: {} };
+
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { words: data.words || {}, chars: data.chars || {} };
+}
+
+/**
+ * 创建标注器
+ * @param {Object} dictionary - { chars: { 字: [读音…] }, words: { 词: "读 音" } }
+ * @param {Object} overrides - 本书覆盖表 { words, chars }
+ * @returns {Function} annotate(text, lineNumber) → { pinyin: [读音…], sources: [来源…], guesses, missing }，
+ *   来源为 override-word、word、override-char、default 或 missing
+ */
+function createAnnotator(dictionary, overrides) {
+  const wordTables = [[overrides.words, 'override-word'], [dictionary.words, 'word']];
+  const maxWordLength = Math.max(1, ...wordTables.flatMap(([table]) => Object.keys(table).map(w => w.length)));
+
+  // 在汉字序列的 start 处查找最长的词语（覆盖表优先）
+  function matchWord(chars, start) {
+    for (let len = Math.min(maxWordLength, chars.length - start); len >= 2; len--) {
+      const word = chars.slice(start, start + len).join('');
+      for (const [table, source] of wordTables) {
+        if (table[word]) {
+          const readings = table[word].split(/\s+/);
+          if (readings.length === len) return { readings, source };
+        }
+      }
+    }
+    return null;
+  }
+
+  return function annotate(text, lineNumber) {
+    const pinyin = [];
+    const sources = [];
+    const guesses = [];
+    const missing = [];
+
+    // 按标点切分为短语，词语不跨标点匹配
+    const phrases = [];
+    let phrase = [];
+    Array.from(text).forEach((char, column) => {
+      if (isHan(char)) {
+        phrase.push({ char, column });
+      } else if (phrase.length > 0) {
+        phrases.push(phrase);
+        phrase = [];
+      }
+    });
+    if (phrase.length > 0) phrases.push(phrase);
+
+    phrases.forEach(items => {
+      const chars = items.map(item => item.char);
+      let i = 0;
+      while (i < chars.length) {
+        const word = matchWord(chars, i);
+        if (word) {
+          pinyin.push(...word.readings);
+          sources.push(...word.readings.map(() => word.source));
+          i += word.readings.length;
+          continue;
+        }
+
+        const { char, column } = items[i];
+        const readings = dictionary.chars[char];
+        if (overrides.chars[char]) {
+          pinyin.push(overrides.chars[char]);
+          sources.push('override-char');
+        } else if (!readings) {
+          pinyin.push(MISSING);
+          sources.push('missing');
+          missing.push({ line: lineNumber, column: column + 1, char });
+        } else {
+          pinyin.push(readings[0]);
+          sources.push('default');
+          if (readings.length > 1) {
+            guesses.push({
+              line: lineNumber,
+              column: column + 1,
+              char,
+              context: chars.slice(Math.max(i - 2, 0), i + 3).join(''),
+              chosen: readings[0],
+              candidates: readings
+            });
+          }
+        }
+        i++;
+      }
+    });
+
+    return { pinyin, sources, guesses, missing };
+  };
+}
+
+/**
+ * 把纯文本解析并标注为书籍数据
+ * @param {string} source - 输入文本
+ * @param {Function} annotate - 标注器
+ * @param {Object} options - 命令行选项
+ * @returns {Object} { book, guesses, missing }
+ */
+function buildBook(source, annotate, options) {
+  const sections = [{ lines: [] }];
+  const guesses = [];
+  const missing = [];
+
+  source.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+
+    const heading = line.match(/^(#{1,2})\s+(.+)$/);
+    if (heading) {
+      const section = { title: heading[2].trim(), lines: [] };
+      if (heading[1] === '##') section.style = 'poem';
+      // 文首的空章节直接替换
+      if (sections.length === 1 && sections[0].lines.length === 0 && !sections[0].title) {
+        sections[0] = section;
+      } else {
+        sections.push(section);
+      }
+      return;
+    }
+
+    const current = sections[sections.length - 1];
+    const end = line.match(/^>>\s*([^|]+?)\s*(?:\|\s*(.+))?$/);
+    if (end) {
+      current.lines.push(end[2] ? { type: 'end', text: end[1], subtitle: end[2].trim() } : { type: 'end', text: end[1] });
+      return;
+    }
+
+    const note = line.match(/^>\s*(.+)$/);
+    if (note) {
+      current.lines.push({ type: 'note', text: note[1].trim() });
+      return;
+    }
+
+    const result = annotate(line, index + 1);
+    guesses.push(...result.guesses);
+    missing.push(...result.missing);
+    current.lines.push({ text: line, pinyin: result.pinyin.join(' ') });
+  });
+
+  const book = { id: options.id, title: options.title };
+  if (options.pageSize) {
+    book.pagination = { mode: 'paragraphs', pageSize: parseInt(options.pageSize) };
+  }
+  book.sections = sections;
+  return { book, guesses, missing };
+}
+
+/**
+ * 输出 <ruby> 注音段落（与 Renderer.renderBookLine 的结构一致）
+ * @param {Object} book - 书籍数据
+ * @returns {string} HTML 片段
+ */
+function renderHtml(book) {
+  const escape = str => str.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+  return book.sections.map(section => {
+    const heading = section.title
+      ? (section.style === 'poem'
+        ? `<h3 class="poem-title">${escape(section.title)}</h3>`
+        : `<h2 class="section-title">${escape(section.title)}</h2>`)
+      : null;
+    const lines = section.lines.map(line => {
+      if (line.type === 'note') return `<p class="book-note">${escape(line.text)}</p>`;
+      if (line.type === 'end') {
+        const subtitle = line.subtitle ? `<br><span>${escape(line.subtitle)}</span>` : '';
+        return `<p class="book-end"><strong>${escape(line.text)}</strong>${subtitle}</p>`;
+      }
+      const readings = line.pinyin.split(' ');
+      let i = 0;
+      const html = Array.from(line.text)
+        .map(char => (isHan(char) ? `<ruby>${char}<rt>${readings[i++]}</rt></ruby>` : escape(char)))
+        .join('');
+      return `<p>${html}</p>`;
+    });
+    return [heading, ...lines].filter(Boolean).join('\n');
+  }).join('\n\n') + '\n';
+}
+
+// 把报告打印到标准错误，避免混入输出内容
+function printReport(guesses, missing) {
+  if (missing.length > 0) {
+    console.error(`字典中缺少 ${missing.length} 个字（已用 "${MISSING}" 占位，请补充到覆盖表的 chars 中）：`);
+    missing.forEach(m => console.error(`  第 ${m.line} 行第 ${m.column} 字 ${m.char}`));
+  }
+  if (guesses.length > 0) {
+    console.error(`猜测了 ${guesses.length} 个多音字的读音（可在覆盖表中用 words 或 chars 固定）：`);
+    guesses.forEach(g => {
+      console.error(`  第 ${g.line} 行第 ${g.column} 字 ${g.char}（…${g.context}…）：取 ${g.chosen}，可选 ${g.candidates.join(' / ')}`);
+    });
+  }
+  if (missing.length === 0 && guesses.length === 0) {
+    console.error('全部读音已确定，没有需要核对的字');
+  }
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`参数错误：${error.message}`);
+    console.error('用法：node tools/annotate-pinyin.js <文本文件> --id <书籍ID> --title <书名> [--format json|html] [--out 文件]');
+    process.exit(2);
+  }
+
+  const dictionary = JSON.parse(fs.readFileSync(DICTIONARY_FILE, 'utf8'));
+  const annotate = createAnnotator(dictionary, loadOverrides(options));
+  const source = fs.readFileSync(options.input, 'utf8');
+  const { book, guesses, missing } = buildBook(source, annotate, options);
+
+  const output = options.format === 'html' ? renderHtml(book) : formatBook(book);
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+
+  if (options.report) {
+    fs.writeFileSync(options.report, JSON.stringify({ guesses, missing }, null, 2) + '\n');
+  }
+  printReport(guesses, missing);
+  process.exit(missing.length > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { DICTIONARY_FILE, createAnnotator, buildBook, loadOverrides };
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+// 简繁转换表生成工具
+// 从 OpenCC 的词典文件生成 data/hanzi-variants.json，供 js/chineseConverter.js 离线转换简体字和繁体字
+//
+// 用法：
+//   node tools/build-hanzi-variants.js <OpenCC 词典目录> [--check]
+//
+// 选项：
+//   --check    只检查 data/hanzi-variants.json 是否与词典和本站文本生成的结果一致，不一致时以退出码 1 结束
+//
+// 词典目录为 OpenCC 1.1.3 的 data/dictionary，需包含 STCharacters.txt、TSCharacters.txt 和 STPhrases.txt。
+// 词典文件较大（STPhrases.txt 约 1MB），不放在仓库中，可从 npm 取得：
+//   npm pack opencc@1.1.3 && tar xzf opencc-1.1.3.tgz     # 词典目录为 package/data/dictionary
+//
+// 逐字对照取每个字最常用的对应字，词组只收录本站内容、书籍正文和汉字字典中出现、且逐字转换不准确的词语，
+// 因此修改 content.json、书籍数据或字典后需要重新运行本工具
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, readBooks } = require('./lib/book-data');
+
+const CONTENT_FILE = path.join(ROOT, 'data/content.json');
+const CHAR_DICTIONARY_FILE = path.join(ROOT, 'data/char-dictionary.json');
+const VARIANTS_FILE = path.join(ROOT, 'data/hanzi-variants.json');
+
+const DESCRIPTION = '简繁转换表：toTraditional / toSimplified 为逐字对照（取最常用的对应字），每两个字一组，转换前的字在前；' +
+  'phrases 为逐字转换不准确的词语（简体 → 繁体，只收录本站内容、书籍和字典中出现的词语），转换前后字数相同';
+const SOURCE = '取自 OpenCC 1.1.3 的 STCharacters、TSCharacters 和 STPhrases 词典（Apache License 2.0）';
+
+// 读取 OpenCC 词典：每行 "原文<Tab>候选1 候选2…"，返回 原文 → 候选数组
+function readDictionary(dir, name) {
+  const entries = new Map();
+  fs.readFileSync(path.join(dir, name), 'utf8').split('\n').forEach(line => {
+    const tab = line.indexOf('\t');
+    if (tab === -1) return;
+    entries.set(line.slice(0, tab), line.slice(tab + 1).split(' '));
+  });
+  return entries;
+}
+
+const length = text => Array.from(text).length;
+
+// 按码位排序（与生成的文件一致，生僻字排在基本区汉字之后）
+const byCodePoint = (a, b) => {
+  const x = Array.from(a).map(c => c.codePointAt(0));
+  const y = Array.from(b).map(c => c.codePointAt(0));
+  for (let i = 0; i < Math.min(x.length, y.length); i++) {
+    if (x[i] !== y[i]) return x[i] - y[i];
+  }
+  return x.length - y.length;
+};
+
+// 逐字对照：只保留一字对一字且与原字不同的第一个候选
+function charMap(entries) {
+  const map = new Map();
+  entries.forEach((candidates, char) => {
+    const target = candidates[0];
+    if (target !== char && length(char) === 1 && length(target) === 1) {
+      map.set(char, target);
+    }
+  });
+  return map;
+}
+
+// 本站显示的全部文本：内容标题、简介、标签，书籍标题、章节和正文，汉字字典的释义和词语
+function siteText() {
+  const texts = [];
+  JSON.parse(fs.readFileSync(CONTENT_FILE, 'utf8')).content.forEach(item => {
+    texts.push(item.title || '', item.description || '', item.detailedDescription || '', ...(item.tags || []));
+  });
+  readBooks().forEach(book => {
+    texts.push(book.title || '');
+    book.sections.forEach(section => {
+      texts.push(section.title || '');
+      section.lines.forEach(line => texts.push(line.text || ''));
+    });
+  });
+  Object.values(JSON.parse(fs.readFileSync(CHAR_DICTIONARY_FILE, 'utf8')).chars).forEach(entry => {
+    texts.push(entry.meaning || '', ...(entry.words || []));
+  });
+  return texts.join('\n');
+}
+
+/**
+ * 生成转换表
+ * @param {string} dir - OpenCC 词典目录
+ * @returns {Object} { toTraditional: Map, toSimplified: Map, phrases: Map }
+ */
+function buildVariants(dir) {
+  const toTraditional = charMap(readDictionary(dir, 'STCharacters.txt'));
+  const toSimplified = charMap(readDictionary(dir, 'TSCharacters.txt'));
+  const text = siteText();
+  const convert = word => Array.from(word).map(char => toTraditional.get(char) || char).join('');
+
+  const phrases = new Map();
+  readDictionary(dir, 'STPhrases.txt').forEach(([target], phrase) => {
+    if (length(phrase) < 2 || length(phrase) !== length(target)) return;
+    if (target === convert(phrase) || !text.includes(phrase)) return;
+    phrases.set(phrase, target);
+  });
+
+  return { toTraditional, toSimplified, phrases };
+}
+
+// 逐字对照写成一个字符串，词组每条占一行，便于审阅差异
+function formatVariants({ toTraditional, toSimplified, phrases }) {
+  const json = value => JSON.stringify(value);
+  const pairs = map => json([...map.keys()].sort(byCodePoint).map(char => char + map.get(char)).join(''));
+  const entries = [...phrases.keys()].sort(byCodePoint).map(phrase => `    ${json(phrase)}: ${json(phrases.get(phrase))}`);
+  return [
+    '{',
+    `  "description": ${json(DESCRIPTION)},`,
+    `  "source": ${json(SOURCE)},`,
+    `  "toTraditional": ${pairs(toTraditional)},`,
+    `  "toSimplified": ${pairs(toSimplified)},`,
+    '  "phrases": {',
+    entries.join(',\n'),
+    '  }',
+    '}'
+  ].join('\n') + '\n';
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const check = args.includes('--check');
+  const dirs = args.filter(arg => arg !== '--check');
+  if (dirs.length !== 1 || dirs[0].startsWith('--')) {
+    console.error('用法：node tools/build-hanzi-variants.js <OpenCC 词典目录> [--check]');
+    console.error('词典目录为 OpenCC 1.1.3 的 data/dictionary，可用 npm pack opencc@1.1.3 下载后解压取得');
+    process.exit(2);
+  }
+
+  const dir = path.resolve(dirs[0]);
+  const missing = ['STCharacters.txt', 'TSCharacters.txt', 'STPhrases.txt']
+    .filter(name => !fs.existsSync(path.join(dir, name)));
+  if (missing.length > 0) {
+    console.error(`词典目录中缺少 ${missing.join('、')}：${dir}`);
+    process.exit(2);
+  }
+
+  const variants = buildVariants(dir);
+  const output = formatVariants(variants);
+
+  if (check) {
+    const current = fs.existsSync(VARIANTS_FILE) ? fs.readFileSync(VARIANTS_FILE, 'utf8') : '';
+    if (current !== output) {
+      console.error(`简繁转换表已过期，请运行 node tools/build-hanzi-variants.js ${dirs[0]}`);
+      process.exit(1);
+    }
+    console.error('简繁转换表是最新的');
+    return;
+  }
+
+  fs.writeFileSync(VARIANTS_FILE, output);
+  console.error(`已生成简繁转换表：简转繁 ${variants.toTraditional.size} 字、繁转简 ${variants.toSimplified.size} 字、` +
+    `词组 ${variants.phrases.size} 条：${path.relative(ROOT, VARIANTS_FILE)}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildVariants, formatVariants };
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+// 拼音索引生成工具
+// 为 data/content.json 中每个内容的标题和标签标注拼音，生成 data/pinyin-index.json，
+// 供搜索时按拼音全拼或首字母（如 sanzijing、szj）匹配中文标题和标签
+//
+// 用法：
+//   node tools/build-pinyin-index.js [--check]
+//
+// 选项：
+//   --check    只检查 data/pinyin-index.json 是否与 content.json 一致，不一致时以退出码 1 结束
+//
+// 多音字读音的确定方法与 annotate-pinyin.js 相同，可在 data/pinyin-overrides/content.json 中固定读音；
+// 修改 content.json 的标题或标签后需要重新运行本工具
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./lib/book-data');
+const { DICTIONARY_FILE, createAnnotator, loadOverrides } = require('./annotate-pinyin');
+
+const CONTENT_FILE = path.join(ROOT, 'data/content.json');
+const INDEX_FILE = path.join(ROOT, 'data/pinyin-index.json');
+const OVERRIDES_FILE = path.join(ROOT, 'data/pinyin-overrides/content.json');
+
+/**
+ * 生成拼音索引
+ * @param {Array<Object>} content - 内容数组
+ * @param {Function} annotate - 标注器（见 annotate-pinyin.js 的 createAnnotator）
+ * @returns {Object} { items: { 内容ID: { title, tags } }, guesses, missing }，拼音依次对应文本中的汉字，以空格分隔
+ */
+function buildIndex(content, annotate) {
+  const items = {};
+  const guesses = [];
+  const missing = [];
+
+  content.forEach(item => {
+    const label = (text) => {
+      const result = annotate(text, 0);
+      result.guesses.forEach(g => guesses.push({ ...g, id: item.id, text }));
+      result.missing.forEach(m => missing.push({ ...m, id: item.id, text }));
+      return result.pinyin.join(' ');
+    };
+    items[item.id] = {
+      title: label(item.title || ''),
+      tags: (item.tags || []).map(label)
+    };
+  });
+
+  return { items, guesses, missing };
+}
+
+// 每个内容占一行，便于审阅差异
+function formatIndex(items) {
+  const entries = Object.entries(items).map(([id, entry]) => `    ${JSON.stringify(id)}: ${JSON.stringify(entry)}`);
+  return [
+    '{',
+    '  "description": "内容标题和标签的拼音索引，由 tools/build-pinyin-index.js 根据 data/content.json 生成，请勿手工编辑",',
+    '  "items": {',
+    entries.join(',\n'),
+    '  }',
+    '}'
+  ].join('\n') + '\n';
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const unknown = args.filter(arg => arg !== '--check');
+  if (unknown.length > 0) {
+    console.error(`参数错误：未知参数 ${unknown.join(' ')}`);
+    console.error('用法：node tools/build-pinyin-index.js [--check]');
+    process.exit(2);
+  }
+
+  const dictionary = JSON.parse(fs.readFileSync(DICTIONARY_FILE, 'utf8'));
+  const overrides = fs.existsSync(OVERRIDES_FILE) ? loadOverrides({ overrides: OVERRIDES_FILE }) : { words: {}, chars: {} };
+  const content = JSON.parse(fs.readFileSync(CONTENT_FILE, 'utf8')).content;
+  const { items, guesses, missing } = buildIndex(content, createAnnotator(dictionary, overrides));
+  const output = formatIndex(items);
+
+  if (args.includes('--check')) {
+    const current = fs.existsSync(INDEX_FILE) ? fs.readFileSync(INDEX_FILE, 'utf8') : '';
+    if (current !== output) {
+      console.error('data/pinyin-index.json 与 content.json 不一致，请运行 node tools/build-pinyin-index.js');
+      process.exit(1);
+    }
+    console.error('拼音索引是最新的');
+    return;
+  }
+
+  fs.writeFileSync(INDEX_FILE, output);
+  console.error(`已生成 ${Object.keys(items).length} 个内容的拼音索引：${path.relative(ROOT, INDEX_FILE)}`);
+
+  if (missing.length > 0) {
+    console.error(`字典中缺少 ${missing.length} 个字（请补充到 data/pinyin-overrides/content.json 的 chars 中）：`);
+    missing.forEach(m => console.error(`  ${m.id}「${m.text}」中的 ${m.char}`));
+  }
+  if (guesses.length > 0) {
+    console.error(`猜测了 ${guesses.length} 个多音字的读音（可在 data/pinyin-overrides/content.json 中固定）：`);
+    guesses.forEach(g => console.error(`  ${g.id}「${g.text}」中的 ${g.char}：取 ${g.chosen}，可选 ${g.candidates.join(' / ')}`));
+  }
+  process.exit(missing.length > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildIndex, formatIndex };
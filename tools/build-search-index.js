@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// 搜索索引生成工具
+// 用 js/searchEngine.js 中的 SearchEngine.buildIndex 为 data/content.json 建立倒排索引，生成 data/search-index.json，
+// 各页面直接加载索引，不必每次打开页面都重新切分全部内容
+//
+// 用法：
+//   node tools/build-search-index.js [--check]
+//
+// 选项：
+//   --check    只检查 data/search-index.json 是否与 content.json 一致，不一致时以退出码 1 结束
+//
+// 索引过期时页面会自动根据 content.json 重新建立索引，搜索结果不受影响，只是多一些计算；
+// 修改 content.json 的标题、标签、简介或详细描述后需要重新运行本工具
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./lib/book-data');
+const { SearchEngine } = require('../js/searchEngine');
+
+const CONTENT_FILE = path.join(ROOT, 'data/content.json');
+const INDEX_FILE = path.join(ROOT, 'data/search-index.json');
+
+// 每个内容、每个词元占一行，便于审阅差异
+function formatIndex(index) {
+  const docs = index.docs.map(doc => `    ${JSON.stringify(doc)}`);
+  const postings = Object.keys(index.postings).sort()
+    .map(token => `    ${JSON.stringify(token)}: ${JSON.stringify(index.postings[token])}`);
+  return [
+    '{',
+    '  "description": "内容搜索索引，由 tools/build-search-index.js 根据 data/content.json 生成，请勿手工编辑",',
+    `  "version": ${index.version},`,
+    `  "fields": ${JSON.stringify(index.fields)},`,
+    `  "averageLengths": ${JSON.stringify(index.averageLengths.map(length => Math.round(length * 1000) / 1000))},`,
+    '  "docs": [',
+    docs.join(',\n'),
+    '  ],',
+    '  "postings": {',
+    postings.join(',\n'),
+    '  }',
+    '}'
+  ].join('\n') + '\n';
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const unknown = args.filter(arg => arg !== '--check');
+  if (unknown.length > 0) {
+    console.error(`参数错误：未知参数 ${unknown.join(' ')}`);
+    console.error('用法：node tools/build-search-index.js [--check]');
+    process.exit(2);
+  }
+
+  const content = JSON.parse(fs.readFileSync(CONTENT_FILE, 'utf8')).content;
+  const index = SearchEngine.buildIndex(content);
+  const output = formatIndex(index);
+
+  if (args.includes('--check')) {
+    const current = fs.existsSync(INDEX_FILE) ? fs.readFileSync(INDEX_FILE, 'utf8') : '';
+    if (current !== output) {
+      console.error('data/search-index.json 与 content.json 不一致，请运行 node tools/build-search-index.js');
+      process.exit(1);
+    }
+    console.error('搜索索引是最新的');
+    return;
+  }
+
+  fs.writeFileSync(INDEX_FILE, output);
+  console.error(`已生成 ${index.docs.length} 个内容、${Object.keys(index.postings).length} 个词元的搜索索引：${path.relative(ROOT, INDEX_FILE)}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { formatIndex };
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// Service Worker 预缓存列表生成工具
+// 列出离线时需要的站点外壳文件（页面、样式、脚本、内容数据、书籍正文、封面和图标），
+// 连同根据这些文件内容计算的缓存版本写入 sw.js；文件有变化时版本随之变化，浏览器据此更新离线缓存
+//
+// 用法：
+//   node tools/build-service-worker.js [--check]
+//
+// 选项：
+//   --check    只检查 sw.js 中的预缓存列表和版本是否最新，不一致时以退出码 1 结束
+//
+// 增删或修改上述文件后需要重新运行本工具；汉字字典较大，不预缓存，由详情页按需下载。
+// 旧版书籍页面（books/*.html）只是跳转到阅读页，不预缓存
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ROOT } = require('./lib/book-data');
+
+const SW_FILE = path.join(ROOT, 'sw.js');
+const BLOCK_START = '// === 预缓存列表开始（由 tools/build-service-worker.js 生成，请勿手工编辑） ===';
+const BLOCK_END = '// === 预缓存列表结束 ===';
+
+// 预缓存的数据文件：各页面共用的内容、配置和推荐，以及搜索和简繁转换用到的索引
+const DATA_FILES = [
+  'data/content.json',
+  'data/config.json',
+  'data/recommendations.json',
+  'data/search-index.json',
+  'data/pinyin-index.json',
+  'data/hanzi-variants.json'
+];
+// 不预缓存的页面（开发调试用）
+const EXCLUDED_PAGES = ['test-json.html'];
+
+// 目录中指定扩展名的文件（按文件名排序，相对于仓库根目录）
+function listFiles(dir, extensions) {
+  const full = path.join(ROOT, dir);
+  if (!fs.existsSync(full)) return [];
+  return fs.readdirSync(full)
+    .filter(name => extensions.includes(path.extname(name).toLowerCase()))
+    .sort()
+    .map(name => path.posix.join(dir, name));
+}
+
+/**
+ * 预缓存的文件列表（相对于仓库根目录）
+ * @returns {Array<string>} 文件路径
+ */
+function precacheFiles() {
+  const pages = listFiles('.', ['.html']).filter(file => !EXCLUDED_PAGES.includes(file));
+  return [
+    ...pages,
+    'manifest.json',
+    ...listFiles('css', ['.css']),
+    ...listFiles('js', ['.js']),
+    ...DATA_FILES,
+    ...listFiles('data/books', ['.json']),
+    ...listFiles('images/covers', ['.jpg', '.jpeg', '.png', '.webp']),
+    ...listFiles('images/icons', ['.png', '.svg'])
+  ];
+}
+
+/**
+ * 生成 sw.js 中的预缓存代码块
+ * @param {Array<string>} files - 预缓存的文件
+ * @returns {string} 代码块（含首尾标记行）
+ */
+function buildBlock(files) {
+  const hash = crypto.createHash('sha1');
+  files.forEach(file => {
+    hash.update(file + '\0');
+    hash.update(fs.readFileSync(path.join(ROOT, file)));
+  });
+
+  const urls = ['./', ...files.map(file => './' + file)];
+  return [
+    BLOCK_START,
+    `const CACHE_VERSION = '${hash.digest('hex').slice(0, 12)}';`,
+    'const PRECACHE_URLS = [',
+    urls.map(url => `  '${url}'`).join(',\n'),
+    '];',
+    BLOCK_END
+  ].join('\n');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const unknown = args.filter(arg => arg !== '--check');
+  if (unknown.length > 0) {
+    console.error(`参数错误：未知参数 ${unknown.join(' ')}`);
+    console.error('用法：node tools/build-service-worker.js [--check]');
+    process.exit(2);
+  }
+
+  const current = fs.readFileSync(SW_FILE, 'utf8');
+  const start = current.indexOf(BLOCK_START);
+  const end = current.indexOf(BLOCK_END);
+  if (start === -1 || end === -1 || end < start) {
+    console.error('sw.js 中找不到预缓存列表的起止标记');
+    process.exit(1);
+  }
+
+  const files = precacheFiles();
+  const output = current.slice(0, start) + buildBlock(files) + current.slice(end + BLOCK_END.length);
+
+  if (args.includes('--check')) {
+    if (current !== output) {
+      console.error('sw.js 的预缓存列表已过期，请运行 node tools/build-service-worker.js');
+      process.exit(1);
+    }
+    console.error('预缓存列表是最新的');
+    return;
+  }
+
+  fs.writeFileSync(SW_FILE, output);
+  console.error(`已写入 ${files.length + 1} 个预缓存地址：${path.relative(ROOT, SW_FILE)}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { precacheFiles, buildBlock };
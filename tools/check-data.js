@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+// 仓库数据检查工具
+// 按 js/dataSchema.js 声明的结构检查 content.json、recommendations.json 和 config.json，
+// 并检查页面运行时发现不了的问题：内容 ID 重复、推荐指向不存在的内容、内容类型和年龄分级与 config.json 不一致、
+// 站内链接和封面图片的文件不存在、阅读页书籍的数据文件缺失或无效
+//
+// 用法：
+//   node tools/check-data.js
+//
+// 问题打印到标准错误；存在错误时以退出码 1 结束，只有警告时以 0 结束
+//
+// 错误：不符合结构（页面会跳过该条目或字段）、ID 重复、引用的内容或文件不存在
+// 警告：结构中未声明的字段（可能是字段名拼写错误）、重复的推荐、没有内容条目引用的书籍数据
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, BOOKS_DIR } = require('./lib/book-data');
+const { DataSchema } = require('../js/dataSchema');
+
+const DATA_FILES = ['content', 'recommendations', 'config'];
+// 阅读页链接中的书籍 ID（与 Renderer.renderLinks 的判断一致）
+const READER_LINK = /reader\.html\?id=([\w-]+)/;
+
+/**
+ * 检查仓库数据
+ * @returns {Object} { errors, warnings }，每项为 { file, path, message }
+ */
+function checkData() {
+  const errors = [];
+  const warnings = [];
+  // 文件原样内容，以及按结构校验、去掉不合格条目后的内容
+  const raw = {};
+  const data = {};
+
+  DATA_FILES.forEach(name => {
+    const file = `data/${name}.json`;
+    let json;
+    try {
+      json = JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    } catch (error) {
+      errors.push({ file, path: '', message: `无法读取: ${error.message}` });
+      return;
+    }
+
+    raw[name] = json;
+    const result = DataSchema.validate(name, json);
+    const locate = issue => ({ file, path: describePath(json, issue.path), message: issue.message });
+    errors.push(...result.errors.map(locate));
+    warnings.push(...result.warnings.map(locate));
+    // 后续检查只看页面实际会显示的数据
+    if (result.valid) {
+      data[name] = result.data;
+    }
+  });
+
+  // ID 和书籍链接按原样内容统计，不符合结构而被跳过的条目也算在内
+  const rawContent = (raw.content && Array.isArray(raw.content.content) ? raw.content.content : [])
+    .filter(item => item && typeof item === 'object');
+  const ids = new Set();
+  rawContent.forEach(item => {
+    if (typeof item.id !== 'string') return;
+    if (ids.has(item.id)) {
+      errors.push({ file: 'data/content.json', path: item.id, message: '内容 ID 重复' });
+    }
+    ids.add(item.id);
+  });
+
+  const content = data.content ? data.content.content : [];
+  const shownIds = new Set(content.map(item => item.id));
+  content.forEach(item => {
+    const file = 'data/content.json';
+    if (isLocal(item.cover) && !localFileExists(item.cover)) {
+      errors.push({ file, path: `${item.id}.cover`, message: `封面图片不存在: ${item.cover}` });
+    }
+    Object.entries(item.links || {}).forEach(([kind, link]) => {
+      if (!isLocal(link)) return;
+      if (!localFileExists(link)) {
+        errors.push({ file, path: `${item.id}.links.${kind}`, message: `链接的页面不存在: ${link}` });
+        return;
+      }
+      const bookMatch = link.match(READER_LINK);
+      if (bookMatch) {
+        const problem = checkBook(bookMatch[1]);
+        if (problem) {
+          errors.push({ file, path: `${item.id}.links.${kind}`, message: problem });
+        }
+      }
+    });
+  });
+
+  if (data.recommendations) {
+    const file = 'data/recommendations.json';
+    const recommended = new Set();
+    const priorities = new Set();
+    data.recommendations.recommendations.forEach(rec => {
+      if (!ids.has(rec.contentId)) {
+        errors.push({ file, path: rec.contentId, message: '推荐的内容不存在' });
+      } else if (!shownIds.has(rec.contentId)) {
+        errors.push({ file, path: rec.contentId, message: '推荐的内容不符合结构，页面不会显示' });
+      }
+      if (recommended.has(rec.contentId)) {
+        warnings.push({ file, path: rec.contentId, message: '重复推荐同一内容' });
+      }
+      if (priorities.has(rec.priority)) {
+        warnings.push({ file, path: rec.contentId, message: `优先级 ${rec.priority} 与其他推荐相同，显示顺序不确定` });
+      }
+      recommended.add(rec.contentId);
+      priorities.add(rec.priority);
+    });
+  }
+
+  if (data.config) {
+    const file = 'data/config.json';
+    // 页面按 config.json 显示分类和年龄标识，每个取值都要声明且只声明一次
+    const declared = (listName, key, expected, label) => {
+      const values = data.config[listName].map(entry => entry[key]);
+      expected.filter(value => !values.includes(value)).forEach(value => {
+        errors.push({ file, path: listName, message: `缺少${label} ${value}` });
+      });
+      values.filter((value, i) => values.indexOf(value) !== i).forEach(value => {
+        errors.push({ file, path: listName, message: `${label} ${value} 重复` });
+      });
+    };
+    declared('contentTypes', 'id', DataSchema.CONTENT_TYPES, '内容类型');
+    declared('ageRatings', 'value', DataSchema.AGE_RATINGS, '年龄分级');
+  }
+
+  // 没有内容条目链接到的书籍数据在站内无法打开
+  const linkedBooks = new Set(rawContent
+    .map(item => item.links && typeof item.links.read === 'string' && (item.links.read.match(READER_LINK) || [])[1])
+    .filter(Boolean));
+  fs.readdirSync(BOOKS_DIR)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .forEach(name => {
+      const id = path.basename(name, '.json');
+      if (!linkedBooks.has(id)) {
+        warnings.push({ file: `data/books/${name}`, path: '', message: `没有内容条目的 links.read 链接到 reader.html?id=${id}` });
+      }
+    });
+
+  return { errors, warnings };
+}
+
+// 在 content[3].ageRating 这样的位置后面附上条目的 ID，便于在文件中查找
+function describePath(json, issuePath) {
+  const match = issuePath.match(/^(\w+)\[(\d+)\]/);
+  const list = match && json && json[match[1]];
+  const item = Array.isArray(list) ? list[Number(match[2])] : null;
+  const id = item && (item.id || item.contentId || item.value);
+  return typeof id === 'string' ? `${issuePath}（${id}）` : issuePath;
+}
+
+// 站内地址（相对路径），外部链接（http、https、//）不检查
+function isLocal(url) {
+  return !/^([a-z]+:)?\/\//i.test(url);
+}
+
+// 站内地址对应的文件是否存在（去掉查询参数和锚点）
+function localFileExists(url) {
+  const file = decodeURIComponent(url.split(/[?#]/)[0]);
+  return fs.existsSync(path.join(ROOT, file)) && fs.statSync(path.join(ROOT, file)).isFile();
+}
+
+/**
+ * 检查阅读页书籍的数据文件（与 DataLoader.loadBook 的校验一致）
+ * @param {string} id - 书籍 ID
+ * @returns {string|null} 问题说明，没有问题时返回 null
+ */
+function checkBook(id) {
+  const file = path.join(BOOKS_DIR, `${id}.json`);
+  if (!fs.existsSync(file)) {
+    return `书籍数据不存在: data/books/${id}.json`;
+  }
+
+  let book;
+  try {
+    book = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return `书籍数据无法读取: data/books/${id}.json（${error.message}）`;
+  }
+  if (book.id !== id || !book.title || !Array.isArray(book.sections)) {
+    return `书籍数据格式无效: data/books/${id}.json（需要 id 为 ${id}，并有 title 和 sections）`;
+  }
+  return null;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.length > 0) {
+    console.error(`参数错误：未知参数 ${args.join(' ')}`);
+    console.error('用法：node tools/check-data.js');
+    process.exit(2);
+  }
+
+  const { errors, warnings } = checkData();
+  const print = (label, issue) => {
+    console.error(`  ${label} ${issue.file}${issue.path ? ' ' + issue.path : ''}：${issue.message}`);
+  };
+  errors.forEach(issue => print('错误', issue));
+  warnings.forEach(issue => print('警告', issue));
+  console.error(`检查了 ${DATA_FILES.length} 个数据文件和书籍数据：错误 ${errors.length} 个，警告 ${warnings.length} 个`);
+
+  process.exit(errors.length > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { checkData };
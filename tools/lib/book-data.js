@@ -0,0 +1,59 @@
+// 书籍数据工具
+// 供 tools/ 下的命令行脚本共用：汉字判断、书籍数据读取与按仓库格式输出
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '../..');
+const BOOKS_DIR = path.join(ROOT, 'data/books');
+
+/**
+ * 判断字符是否为汉字（与 Renderer.renderBookLine 的判断一致）
+ * @param {string} char - 单个字符
+ * @returns {boolean}
+ */
+function isHan(char) {
+  return /\p{Script=Han}/u.test(char);
+}
+
+/**
+ * 读取全部书籍数据
+ * @returns {Array<Object>} 按文件名排序的书籍数据
+ */
+function readBooks() {
+  return fs.readdirSync(BOOKS_DIR)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => JSON.parse(fs.readFileSync(path.join(BOOKS_DIR, name), 'utf8')));
+}
+
+/**
+ * 按仓库中书籍数据文件的格式序列化（每一行正文占一行，便于审阅差异）
+ * @param {Object} book - 书籍数据
+ * @returns {string} JSON 文本
+ */
+function formatBook(book) {
+  const json = value => JSON.stringify(value);
+  const inline = obj => '{ ' + Object.entries(obj).map(([k, v]) => `${json(k)}: ${json(v)}`).join(', ') + ' }';
+
+  const out = ['{', `  "id": ${json(book.id)},`, `  "title": ${json(book.title)},`];
+  if (book.pagination) {
+    out.push(`  "pagination": ${inline(book.pagination)},`);
+  }
+  out.push('  "sections": [');
+  book.sections.forEach((section, i) => {
+    out.push('    {');
+    ['title', 'style'].forEach(key => {
+      if (section[key]) out.push(`      ${json(key)}: ${json(section[key])},`);
+    });
+    out.push('      "lines": [');
+    out.push(section.lines.map(line => '        ' + inline(line)).join(',\n'));
+    out.push('      ]');
+    out.push('    }' + (i < book.sections.length - 1 ? ',' : ''));
+  });
+  out.push('  ]');
+  out.push('}');
+  return out.join('\n') + '\n';
+}
+
+module.exports = { ROOT, BOOKS_DIR, isHan, readBooks, formatBook };
@@ -0,0 +1,475 @@
+#!/usr/bin/env node
+// 拼音一致性检查工具
+// 逐字核对全部书籍的注音（data/books/*.json 以及 books/*.html 中的 <ruby> 注音），
+// 汇总"字 → 读音"表，列出同一个字在不同上下文中的不同读音，并检查缺少注音、<ruby> 中的非汉字和不规范的声调符号
+//
+// 用法：
+//   node tools/lint-pinyin.js [文件…] [--out 报告.json]
+//
+// 不指定文件时检查 data/books/*.json 和 books/*.html；也可以指定单个书籍数据或 annotate-pinyin.js 输出的 HTML
+// 报告为 JSON（默认输出到标准输出），摘要打印到标准错误；存在错误时以退出码 1 结束
+//
+// 规则：
+//   missing-rt         汉字没有对应的读音（HTML 中为缺少 <rt> 或 <rt> 为空）          错误
+//   extra-rt           读音多于汉字                                                  错误
+//   non-han-base       <ruby> 中注音的不是汉字                                       错误
+//   malformed-tone     读音不是有效的拼音音节、含多个声调符号或声调符号位置不对       错误
+//   unknown-reading    读音不在字典收录的读音中，可能是录入错误                      警告
+//   multiple-readings  同一个字在不同上下文中有不同读音，附各读音的出处              警告
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, BOOKS_DIR, isHan } = require('./lib/book-data');
+const { DICTIONARY_FILE, createAnnotator, loadOverrides } = require('./annotate-pinyin');
+
+const HTML_DIR = path.join(ROOT, 'books');
+const CONTEXT_RADIUS = 3;
+
+// 带声调的字母 → [不带声调的字母, 声调]
+const TONE_MARKS = {
+  'ā': ['a', 1], 'á': ['a', 2], 'ǎ': ['a', 3], 'à': ['a', 4],
+  'ē': ['e', 1], 'é': ['e', 2], 'ě': ['e', 3], 'è': ['e', 4],
+  'ī': ['i', 1], 'í': ['i', 2], 'ǐ': ['i', 3], 'ì': ['i', 4],
+  'ō': ['o', 1], 'ó': ['o', 2], 'ǒ': ['o', 3], 'ò': ['o', 4],
+  'ū': ['u', 1], 'ú': ['u', 2], 'ǔ': ['u', 3], 'ù': ['u', 4],
+  'ǖ': ['ü', 1], 'ǘ': ['ü', 2], 'ǚ': ['ü', 3], 'ǜ': ['ü', 4],
+  'ḿ': ['m', 2], 'ń': ['n', 2], 'ň': ['n', 3], 'ǹ': ['n', 4]
+};
+const VOWELS = 'aeiouüê';
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv - 参数列表（不含 node 和脚本路径）
+ * @returns {Object} { files, out }
+ */
+function parseArgs(argv) {
+  const options = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') {
+      if (i + 1 >= argv.length) throw new Error('参数 --out 缺少取值');
+      options.out = argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`未知参数 ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+  return options;
+}
+
+/**
+ * 默认检查的文件：全部书籍数据和 books/ 下的页面
+ * @returns {Array<string>} 文件路径
+ */
+function defaultFiles() {
+  const list = (dir, ext) => (fs.existsSync(dir) ? fs.readdirSync(dir) : [])
+    .filter(name => name.endsWith(ext))
+    .sort()
+    .map(name => path.join(dir, name));
+  return [...list(BOOKS_DIR, '.json'), ...list(HTML_DIR, '.html')];
+}
+
+/**
+ * 去掉读音中的声调符号
+ * @param {string} reading - 读音
+ * @returns {Object} { base: 不带声调的音节, marks: [{ index, tone }] }
+ */
+function splitTone(reading) {
+  const marks = [];
+  const base = Array.from(reading.normalize('NFC')).map((letter, index) => {
+    if (!TONE_MARKS[letter]) return letter;
+    marks.push({ index, tone: TONE_MARKS[letter][1] });
+    return TONE_MARKS[letter][0];
+  }).join('');
+  return { base, marks };
+}
+
+/**
+ * 按拼音标调规则计算声调符号应在的位置：有 a 标 a，没有 a 标 e，ou 标 o，否则标最后一个元音
+ * @param {string} base - 不带声调的音节
+ * @returns {number} 字母下标，没有元音（如 m、ng）时为 -1
+ */
+function tonePosition(base) {
+  const letters = Array.from(base);
+  for (const vowel of ['a', 'e', 'ê']) {
+    if (letters.includes(vowel)) return letters.indexOf(vowel);
+  }
+  if (base.includes('ou')) return letters.indexOf('o');
+  for (let i = letters.length - 1; i >= 0; i--) {
+    if (VOWELS.includes(letters[i])) return i;
+  }
+  return -1;
+}
+
+/**
+ * 检查单个读音的写法
+ * @param {string} reading - 读音
+ * @param {Set<string>} syllables - 有效的不带声调音节
+ * @returns {string|null} 问题说明，没有问题时为 null
+ */
+function checkSyllable(reading, syllables) {
+  if (!reading) return '读音为空（可能有多余的空格）';
+  if (!/^[a-zêü]+$/.test(splitTone(reading).base)) {
+    return /\d/.test(reading) ? '使用了数字标调，应使用声调符号' : '含有拼音字母以外的字符';
+  }
+
+  const { base, marks } = splitTone(reading);
+  if (marks.length > 1) return '含有多个声调符号';
+  if (!syllables.has(base)) return `"${base}" 不是有效的拼音音节`;
+  if (marks.length === 1) {
+    const expected = tonePosition(base);
+    if (expected !== -1 && marks[0].index !== expected) {
+      return `声调符号应标在 "${Array.from(base)[expected]}" 上`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 取字符前后若干字作为上下文
+ * @param {Array<string>} chars - 整行字符
+ * @param {number} index - 字符下标
+ * @returns {string}
+ */
+function contextOf(chars, index) {
+  return chars.slice(Math.max(index - CONTEXT_RADIUS, 0), index + CONTEXT_RADIUS + 1).join('');
+}
+
+/**
+ * 读取书籍数据中的注音行
+ * @param {string} file - 书籍数据文件
+ * @param {Array<Object>} issues - 收集结构问题
+ * @returns {Array<Object>} [{ file, line, path, text, bookId, pairs: [{ char, reading, column }] }]
+ */
+function readBookEntries(file, issues) {
+  const source = fs.readFileSync(file, 'utf8');
+  const book = JSON.parse(source);
+  const relative = path.relative(ROOT, file);
+
+  // 书籍数据每一行正文单独占一行（见 formatBook），据此给出文件中的行号
+  const lineNumbers = [];
+  source.split('\n').forEach((text, index) => {
+    if (/^\s*\{\s*"/.test(text)) lineNumbers.push(index + 1);
+  });
+  const total = book.sections.reduce((sum, section) => sum + section.lines.length, 0);
+  let counter = 0;
+
+  const entries = [];
+  book.sections.forEach((section, s) => {
+    section.lines.forEach((line, l) => {
+      const lineNumber = lineNumbers.length === total ? lineNumbers[counter] : null;
+      counter++;
+      if (line.type) return;
+
+      const chars = Array.from(line.text);
+      const readings = line.pinyin ? line.pinyin.split(' ') : [];
+      const entry = {
+        file: relative,
+        line: lineNumber,
+        path: `sections[${s}].lines[${l}]`,
+        text: line.text,
+        bookId: book.id,
+        pairs: []
+      };
+
+      let k = 0;
+      chars.forEach((char, column) => {
+        if (!isHan(char)) return;
+        if (k < readings.length) {
+          entry.pairs.push({ char, reading: readings[k], column: column + 1 });
+        } else {
+          issues.push(issue('error', 'missing-rt', entry, column + 1, char, null, contextOf(chars, column),
+            '汉字没有对应的读音'));
+        }
+        k++;
+      });
+      if (readings.length > k) {
+        issues.push(issue('error', 'extra-rt', entry, null, null, readings.slice(k).join(' '), line.text,
+          `读音比汉字多 ${readings.length - k} 个`));
+      }
+      entries.push(entry);
+    });
+  });
+  return entries;
+}
+
+// 解码常见的 HTML 实体
+function decodeEntities(str) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return str.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1));
+      return String.fromCodePoint(code);
+    }
+    return named[name.toLowerCase()] !== undefined ? named[name.toLowerCase()] : match;
+  });
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ''));
+}
+
+/**
+ * 读取 HTML 页面中的 <ruby> 注音（以含有 <ruby> 的段落、标题等块级元素为一行）
+ * @param {string} file - HTML 文件
+ * @param {Array<Object>} issues - 收集结构问题
+ * @returns {Array<Object>} 同 readBookEntries
+ */
+function readHtmlEntries(file, issues) {
+  const source = fs.readFileSync(file, 'utf8');
+  const relative = path.relative(ROOT, file);
+  const lineAt = offset => source.slice(0, offset).split('\n').length;
+  const entries = [];
+
+  const blockPattern = /<(p|h[1-6]|li|td|dd)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+  let block;
+  while ((block = blockPattern.exec(source))) {
+    const html = block[2];
+    if (!/<ruby\b/i.test(html)) continue;
+
+    const entry = {
+      file: relative,
+      line: lineAt(block.index),
+      path: null,
+      text: '',
+      bookId: null,
+      pairs: []
+    };
+    // 先拼出整行文字，便于给出列号和上下文
+    const rubies = [];
+    const rubyPattern = /<ruby\b[^>]*>([\s\S]*?)<\/ruby>/gi;
+    let last = 0;
+    let ruby;
+    let text = '';
+    while ((ruby = rubyPattern.exec(html))) {
+      text += stripTags(html.slice(last, ruby.index));
+      const inner = ruby[1];
+      const rt = inner.match(/<rt\b[^>]*>([\s\S]*?)<\/rt>/i);
+      const base = stripTags(inner.replace(/<(rt|rp)\b[^>]*>[\s\S]*?<\/\1>/gi, '')).trim();
+      rubies.push({ base, reading: rt ? stripTags(rt[1]).trim() : '', hasRt: !!rt, column: Array.from(text).length + 1 });
+      text += base;
+      last = ruby.index + ruby[0].length;
+    }
+    text += stripTags(html.slice(last));
+    entry.text = text;
+    const chars = Array.from(text);
+
+    // 注音段落中 <ruby> 以外的汉字视为缺少注音
+    const covered = new Set();
+    rubies.forEach(r => {
+      Array.from(r.base).forEach((_, i) => covered.add(r.column + i));
+    });
+    chars.forEach((char, column) => {
+      if (isHan(char) && !covered.has(column + 1)) {
+        issues.push(issue('error', 'missing-rt', entry, column + 1, char, null, contextOf(chars, column),
+          '注音段落中的汉字没有放在 <ruby> 中'));
+      }
+    });
+
+    rubies.forEach(r => {
+      const context = contextOf(chars, r.column - 1);
+      const baseChars = Array.from(r.base);
+      if (baseChars.length === 0) {
+        issues.push(issue('error', 'non-han-base', entry, r.column, '', r.reading, context, '<ruby> 中没有被注音的文字'));
+        return;
+      }
+      if (!baseChars.every(isHan)) {
+        issues.push(issue('error', 'non-han-base', entry, r.column, r.base, r.reading, context,
+          `<ruby> 中含有非汉字 "${baseChars.filter(c => !isHan(c)).join('')}"`));
+        return;
+      }
+      if (!r.hasRt || !r.reading) {
+        issues.push(issue('error', 'missing-rt', entry, r.column, r.base, null, context,
+          r.hasRt ? '<rt> 为空' : '<ruby> 缺少 <rt>'));
+        return;
+      }
+
+      // 一个 <ruby> 注多个字时，读音按空格依次对应
+      const readings = baseChars.length === 1 ? [r.reading] : r.reading.split(/\s+/);
+      if (readings.length !== baseChars.length) {
+        issues.push(issue('error', readings.length < baseChars.length ? 'missing-rt' : 'extra-rt', entry, r.column,
+          r.base, r.reading, context, `${baseChars.length} 个汉字对应 ${readings.length} 个读音`));
+        return;
+      }
+      baseChars.forEach((char, i) => {
+        entry.pairs.push({ char, reading: readings[i], column: r.column + i });
+      });
+    });
+    entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * 生成一条问题记录
+ * @returns {Object} { severity, rule, file, line, path, column, char, reading, context, message }
+ */
+function issue(severity, rule, entry, column, char, reading, context, message) {
+  return {
+    severity,
+    rule,
+    file: entry.file,
+    line: entry.line,
+    path: entry.path,
+    column,
+    char,
+    reading,
+    context,
+    message
+  };
+}
+
+/**
+ * 检查全部注音并生成报告
+ * @param {Array<string>} files - 书籍数据（.json）或页面（.html）
+ * @param {Object} dictionary - 拼音字典
+ * @returns {Object} { summary, issues, polyphones, readings }
+ */
+function lint(files, dictionary) {
+  const issues = [];
+  const entries = files.flatMap(file => (file.endsWith('.html')
+    ? readHtmlEntries(file, issues)
+    : readBookEntries(file, issues)));
+
+  const syllables = new Set(Object.values(dictionary.chars).flat().map(r => splitTone(r).base));
+
+  // 字 → 读音 → 出现位置
+  const table = new Map();
+  entries.forEach(entry => {
+    const chars = Array.from(entry.text);
+    entry.pairs.forEach((pair, index) => {
+      const context = contextOf(chars, pair.column - 1);
+      const problem = checkSyllable(pair.reading, syllables);
+      if (problem) {
+        issues.push(issue('error', 'malformed-tone', entry, pair.column, pair.char, pair.reading, context, problem));
+        return;
+      }
+
+      const known = dictionary.chars[pair.char];
+      if (!known || !known.includes(pair.reading)) {
+        issues.push(issue('warning', 'unknown-reading', entry, pair.column, pair.char, pair.reading, context,
+          known ? `字典收录的读音为 ${known.join(' / ')}` : '字典未收录该字，无法核对'));
+      }
+
+      if (!table.has(pair.char)) table.set(pair.char, new Map());
+      const readings = table.get(pair.char);
+      if (!readings.has(pair.reading)) readings.set(pair.reading, []);
+      readings.get(pair.reading).push({ entry, index, column: pair.column, context });
+    });
+  });
+
+  // 多音字：注明每处读音的依据（与标注工具按本书覆盖表得出的结果比较）
+  const annotators = new Map();
+  const basisOf = occurrence => {
+    const { entry, index } = occurrence;
+    const key = entry.bookId || '';
+    if (!annotators.has(key)) {
+      const overrides = entry.bookId ? loadOverrides({ id: entry.bookId }) : { words: {}, chars: {} };
+      annotators.set(key, createAnnotator(dictionary, overrides));
+    }
+    if (!entry.annotation) entry.annotation = annotators.get(key)(entry.text, entry.line);
+    const expected = entry.annotation.pinyin[index];
+    return expected === entry.pairs[index].reading ? entry.annotation.sources[index] : 'manual';
+  };
+
+  const polyphones = [];
+  table.forEach((readings, char) => {
+    if (readings.size < 2) return;
+    const summary = [...readings.entries()].map(([reading, list]) => ({
+      reading,
+      count: list.length,
+      files: [...new Set(list.map(o => o.entry.file))],
+      occurrences: list.map(o => ({
+        file: o.entry.file,
+        line: o.entry.line,
+        path: o.entry.path,
+        column: o.column,
+        context: o.context,
+        basis: basisOf(o)
+      }))
+    }));
+    polyphones.push({ char, readings: summary });
+
+    const first = readings.values().next().value[0];
+    issues.push(issue('warning', 'multiple-readings', first.entry, first.column, char,
+      summary.map(r => r.reading).join(' / '), first.context,
+      summary.map(r => `${r.reading} ×${r.count}`).join('，')));
+  });
+
+  const readingTable = {};
+  table.forEach((readings, char) => {
+    readingTable[char] = {};
+    readings.forEach((list, reading) => {
+      readingTable[char][reading] = list.length;
+    });
+  });
+
+  // 按文件、行、列排序，同一位置的错误在前
+  const order = { error: 0, warning: 1 };
+  issues.sort((a, b) => a.file.localeCompare(b.file)
+    || (a.line || 0) - (b.line || 0)
+    || (a.column || 0) - (b.column || 0)
+    || order[a.severity] - order[b.severity]);
+
+  return {
+    summary: {
+      files: files.length,
+      lines: entries.length,
+      pairs: entries.reduce((sum, entry) => sum + entry.pairs.length, 0),
+      characters: table.size,
+      polyphones: polyphones.length,
+      errors: issues.filter(i => i.severity === 'error').length,
+      warnings: issues.filter(i => i.severity === 'warning').length
+    },
+    issues,
+    polyphones,
+    readings: readingTable
+  };
+}
+
+// 把摘要和错误打印到标准错误，避免混入报告
+function printSummary(report) {
+  const { summary } = report;
+  console.error(`检查了 ${summary.files} 个文件、${summary.lines} 行、${summary.pairs} 个注音（${summary.characters} 个不同的字）`);
+  console.error(`  ${summary.polyphones} 个字有多种读音，错误 ${summary.errors} 个，警告 ${summary.warnings} 个`);
+
+  const location = i => `${i.file}${i.line ? ':' + i.line : ''}${i.column ? ':' + i.column : ''}`;
+  report.issues
+    .filter(i => i.severity === 'error' || i.rule === 'unknown-reading')
+    .forEach(i => {
+      const label = i.severity === 'error' ? '错误' : '警告';
+      console.error(`  ${label} ${location(i)} ${i.rule} ${i.char || ''}${i.reading ? ' ' + i.reading : ''}（…${i.context}…）：${i.message}`);
+    });
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`参数错误：${error.message}`);
+    console.error('用法：node tools/lint-pinyin.js [文件…] [--out 报告.json]');
+    process.exit(2);
+  }
+
+  const dictionary = JSON.parse(fs.readFileSync(DICTIONARY_FILE, 'utf8'));
+  const files = options.files.length > 0 ? options.files.map(file => path.resolve(file)) : defaultFiles();
+  const report = lint(files, dictionary);
+
+  const output = JSON.stringify(report, null, 2) + '\n';
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+
+  printSummary(report);
+  process.exit(report.summary.errors > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { lint, checkSyllable };